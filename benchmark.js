@@ -0,0 +1,58 @@
+// Benchmark of simplepolygon on large generated self-intersecting polygons
+// Usage: node benchmark.js [path to another version of simplepolygon, to compare with]
+// Besides the total time, the time spent setting up the intersections (before walking) is reported for this version, using the timing events of the 'trace' option.
+// The polygons have one ring of random vertices in a square, such that their number of self-intersections grows quadratically with their number of vertices. They are generated with a fixed seed, such that runs can be compared.
+
+var simplepolygon = require('./index.js');
+var other = process.argv[2] ? require(require('path').resolve(process.argv[2])) : undefined;
+
+var sizes = [100, 200, 400, 800];
+var runs = 3;
+
+var setupPhase = "Setting up pseudoVtxListByRingAndEdge and isectList";
+
+console.log(["vertices", "output rings", "this version (ms)", "of which setup (ms)"].concat(other ? ["other version (ms)"] : []).join("\t"));
+for (var i = 0; i < sizes.length; i++) {
+  var poly = randomPolygon(sizes[i], i+1);
+  var result = simplepolygon(poly);
+  var line = [sizes[i], result.features.length, time(simplepolygon, poly), setupTime(poly)];
+  if (other) line.push(time(other, poly));
+  console.log(line.join("\t"));
+}
+
+// Function to get the smallest time (in milliseconds) of a number of runs
+function time(fn, poly) {
+  var best = Infinity;
+  for (var i = 0; i < runs; i++) {
+    var start = Date.now();
+    fn(JSON.parse(JSON.stringify(poly)));
+    best = Math.min(best, Date.now() - start);
+  }
+  return best;
+}
+
+// Function to get the smallest time (in milliseconds) spent setting up the intersections by this version, of a number of runs
+function setupTime(poly) {
+  var best = Infinity;
+  for (var i = 0; i < runs; i++) {
+    simplepolygon(JSON.parse(JSON.stringify(poly)), {trace: function(event){
+      if ((event.type == 'timing') && (event.phase == setupPhase)) best = Math.min(best, event.ms);
+    }});
+  }
+  return Math.round(best);
+}
+
+// Function to generate a polygon feature with one ring of random vertices, using a seeded (Park-Miller) random number generator
+function randomPolygon(numVertices, seed) {
+  var ring = [];
+  for (var i = 0; i < numVertices; i++) {
+    ring.push([random(), random()]);
+  }
+  ring.push(ring[0]);
+  return {type: "Feature", properties: {}, geometry: {type: "Polygon", coordinates: [ring]}};
+
+  function random() {
+    seed = (seed * 16807) % 2147483647;
+    return Math.round(seed / 2147483647 * 1e6) / 1e6;
+  }
+}
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+// Command-line tool to break down the complex polygons in GeoJSON files into simple polygons
+// Usage: simplepolygon [options] [file ...] (run with --help for the options)
+// Each file (or stdin, if no files or '-' are given) holds either one GeoJSON object, or newline-delimited GeoJSON (one object per line). This is detected from its first line: if that line holds a complete GeoJSON object, every line is read as one, and they are decomposed as they come in. Every Feature (and bare Polygon or MultiPolygon geometry) is decomposed on its own, and the output features are streamed to stdout.
+
+var fs = require('fs');
+var readline = require('readline');
+var simplepolygon = require('../index.js');
+
+var usage = [
+  "Usage: simplepolygon [options] [file ...]",
+  "",
+  "Breaks down the complex polygon features in GeoJSON or newline-delimited GeoJSON files (or stdin) into simple polygons, and writes them to stdout.",
+  "",
+  "Options:",
+  "  -f, --fill-rule <rule>  assemble the output rings of each feature into one valid Polygon or MultiPolygon feature, by the fill rule 'evenodd', 'nonzero', 'positive' or 'negative' (default: output the flat simple rings)",
+  "  -r, --repair            make each feature valid by all means, splitting polygons with touching rings, and add a 'repairs' report to its output feature (uses the fill rule, 'nonzero' by default)",
+  "  -t, --tolerance <size>  snap the coordinates to a grid with this cell size",
+  "  -g, --geodesic          treat the coordinates as longitude and latitude on the sphere",
+  "  -z, --z-rule <rule>     take the Z (and further) coordinates of intersections from the 'first' or 'last' edge through it, or their 'average' (default)",
+  "  -p, --properties        keep the properties and id of the input feature on its output features",
+  "  -s, --skip-invalid      skip features that can not be decomposed, instead of reporting them on stderr and exiting with a non-zero code",
+  "  -l, --ndjson            write newline-delimited GeoJSON (default: one FeatureCollection)",
+  "  -h, --help              show this help"
+].join("\n");
+
+// Parse the arguments. Options taking a value accept it as the next argument or after an '=' sign.
+var args = {files: [], options: {}};
+var argv = process.argv.slice(2);
+for (var i = 0; i < argv.length; i++) {
+  var arg = argv[i];
+  var value = undefined;
+  if (arg.slice(0,2) == "--" && arg.indexOf("=") > -1) {
+    value = arg.slice(arg.indexOf("=")+1);
+    arg = arg.slice(0,arg.indexOf("="));
+  }
+  switch (arg) {
+    case "-f": case "--fill-rule":
+      args.options.fillRule = optionValue();
+      break;
+    case "-r": case "--repair":
+      args.options.repair = true;
+      break;
+    case "-t": case "--tolerance":
+      args.options.tolerance = Number(optionValue());
+      if (isNaN(args.options.tolerance)) exitWithError("The tolerance must be a non-negative number", true);
+      break;
+    case "-g": case "--geodesic":
+      args.options.geodesic = true;
+      break;
+    case "-z": case "--z-rule":
+      args.options.zRule = optionValue();
+      break;
+    case "-p": case "--properties":
+      args.properties = true;
+      break;
+    case "-s": case "--skip-invalid":
+      args.skipInvalid = true;
+      break;
+    case "-l": case "--ndjson":
+      args.ndjson = true;
+      break;
+    case "-h": case "--help":
+      console.log(usage);
+      process.exit(0);
+    default:
+      if (arg.charAt(0) == "-" && arg != "-") exitWithError("Unknown option " + arg, true);
+      args.files.push(arg);
+  }
+}
+if (args.files.length == 0) args.files.push("-");
+
+// Check the options once, by decomposing a simple polygon, such that wrong options are not reported for each feature
+try {
+  simplepolygon({type: "Polygon", coordinates: [[[0,0],[1,0],[0,1],[0,0]]]}, args.options);
+} catch (e) {
+  exitWithError(e.message, true);
+}
+
+// Check that the files can be opened before writing any output, such that a wrong file name is reported without leaving a FeatureCollection behind
+for (var i = 0; i < args.files.length; i++) {
+  if (args.files[i] == "-") continue;
+  try {
+    fs.closeSync(fs.openSync(args.files[i], 'r'));
+  } catch (e) {
+    exitWithError("Could not read " + args.files[i] + ": " + e.message);
+  }
+}
+
+var numFeatures = 0;
+var numInvalid = 0;
+var numOutput = 0;
+var outputStarted = false;
+
+process.stdout.on('error', function(e) {
+  // Stop quietly when the output is closed early, e.g. when piped into 'head'
+  if (e.code == 'EPIPE') process.exit(process.exitCode || 0);
+  throw e;
+});
+
+if (!args.ndjson) process.stdout.write('{"type":"FeatureCollection","features":[\n');
+outputStarted = true;
+readSource(0);
+
+// Function to read the sources one after the other, and to end the output after the last one
+function readSource(index) {
+  if (index == args.files.length) {
+    endOutput();
+    if (numInvalid && !args.skipInvalid) {
+      console.error(numInvalid + " of " + numFeatures + " features could not be decomposed");
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  var name = args.files[index];
+  var stream = (name == "-") ? process.stdin : fs.createReadStream(name);
+  if (name == "-") name = "stdin";
+  stream.on('error', function(e) {
+    exitWithError("Could not read " + name + ": " + e.message);
+  });
+
+  // Until the first non-empty line is read, it is unknown whether the source is newline-delimited. If it is not, its lines are collected and parsed at the end.
+  var delimited;
+  var lines = [];
+  var lineNumber = 0;
+  var reader = readline.createInterface({input: stream, crlfDelay: Infinity});
+  reader.on('line', function(line) {
+    lineNumber++;
+    if (delimited === false) return lines.push(line);
+    if (line.trim() == "") return;
+    try {
+      var object = JSON.parse(line);
+    } catch (e) {
+      if (delimited === undefined) {
+        delimited = false;
+        return lines.push(line);
+      }
+      numFeatures++;
+      return reportInvalid(name + " line " + lineNumber, "Invalid JSON: " + e.message);
+    }
+    delimited = true;
+    // Wait for the output to be written if it is buffering, such that large files are not read into memory all at once
+    if (!decompose(object, name + " line " + lineNumber)) {
+      reader.pause();
+      process.stdout.once('drain', function() { reader.resume(); });
+    }
+  });
+  reader.on('close', function() {
+    if (delimited !== false) return readSource(index+1);
+    try {
+      var object = JSON.parse(lines.join("\n"));
+    } catch (e) {
+      exitWithError("Could not parse " + name + ": " + e.message);
+    }
+    lines = undefined;
+    var features = (object && object.type == "FeatureCollection" && Array.isArray(object.features)) ? object.features : [object];
+    decomposeFeatures(0);
+
+    function decomposeFeatures(i) {
+      while (i < features.length) {
+        var written = decompose(features[i], name + " feature " + i);
+        i++;
+        if (!written) return process.stdout.once('drain', function() { decomposeFeatures(i); });
+      }
+      readSource(index+1);
+    }
+  });
+}
+
+// Function to decompose one GeoJSON object and write its output features. FeatureCollections on one line are decomposed feature by feature. Returns false if the output should drain before writing more.
+function decompose(object, label) {
+  if (object && object.type == "FeatureCollection" && Array.isArray(object.features)) {
+    var written = true;
+    for (var i = 0; i < object.features.length; i++) {
+      written = decompose(object.features[i], label + " feature " + i) && written;
+    }
+    return written;
+  }
+
+  numFeatures++;
+  if (object && object.id !== undefined) label += " (id " + JSON.stringify(object.id) + ")";
+  // The properties and id of input features are kept on their output features by simplepolygon itself, so they are left out beforehand if not wanted
+  if (!args.properties && object && object.type == "Feature") object = {type: "Feature", properties: {}, geometry: object.geometry};
+  try {
+    var result = simplepolygon(object, args.options);
+  } catch (e) {
+    reportInvalid(label, e.message);
+    return true;
+  }
+
+  var outputFeatures = (result.type == "FeatureCollection") ? result.features : [result];
+  var output = "";
+  for (var i = 0; i < outputFeatures.length; i++) {
+    if (args.ndjson) {
+      output += JSON.stringify(outputFeatures[i]) + "\n";
+    } else {
+      output += (numOutput ? ",\n" : "") + JSON.stringify(outputFeatures[i]);
+    }
+    numOutput++;
+  }
+  return output ? process.stdout.write(output) : true;
+}
+
+// Function to report a feature that could not be decomposed on stderr, unless invalid features are skipped
+function reportInvalid(label, message) {
+  numInvalid++;
+  if (!args.skipInvalid) console.error(label + ": " + message);
+}
+
+function optionValue() {
+  if (value === undefined) value = argv[++i];
+  if (value === undefined) exitWithError("Missing value for option " + arg, true);
+  return value;
+}
+
+// Function to end the output, closing the FeatureCollection
+function endOutput() {
+  if (!args.ndjson) process.stdout.write((numOutput ? "\n" : "") + "]}\n");
+}
+
+// Function to stop on an error that is not specific to one feature, such as wrong arguments (with showUsage set) or an unreadable file. If the output has started, it is ended first, such that the features written so far remain valid GeoJSON.
+function exitWithError(message, showUsage) {
+  if (outputStarted) endOutput();
+  console.error("simplepolygon: " + message + (showUsage ? "\n\n" + usage : ""));
+  process.exit(2);
+}
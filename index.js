@@ -1,15 +1,23 @@
 var isects = require('geojson-polygon-self-intersections');
 var helpers = require('@turf/helpers');
-var within = require('@turf/within');
-var area = require('@turf/area');
 var rbush = require('rbush');
 
 /**
 * Takes a complex (i.e. self-intersecting) geojson polygon, and breaks it down into its composite simple, non-self-intersecting one-ring polygons.
 *
 * @module simplepolygon
-* @param {Feature} feature Input polygon. This polygon may be unconform the {@link https://en.wikipedia.org/wiki/Simple_Features|Simple Features standard} in the sense that it's inner and outer rings may cross-intersect or self-intersect, that the outer ring must not contain the optional inner rings and that the winding number must not be positive for the outer and negative for the inner rings.
-* @return {FeatureCollection} Feature collection containing the simple, non-self-intersecting one-ring polygon features that the complex polygon is composed of. These simple polygons have properties such as their parent polygon, winding number and net winding number.
+* @param {Feature|FeatureCollection|Polygon|MultiPolygon} feature Input polygon(s). This can be a Polygon or MultiPolygon geometry, a Feature of either type, or a FeatureCollection of such Features. The rings of all polygons are processed together, such that intersections between the parts of a MultiPolygon or between the features of a FeatureCollection are resolved as well. This input may be unconform the {@link https://en.wikipedia.org/wiki/Simple_Features|Simple Features standard} in the sense that it's inner and outer rings may cross-intersect or self-intersect, that the outer ring must not contain the optional inner rings and that the winding number must not be positive for the outer and negative for the inner rings.
+* @param {Object} [options] Optional parameters. For backwards compatibility, a boolean is read as the 'timing' option.
+* @param {string|Function} [options.fillRule] If set, the output rings are assembled into a valid polygon, filling the regions whose net winding number satisfies this rule: 'evenodd', 'nonzero', 'positive' or 'negative' (as in SVG and canvas), or a function taking the net winding number and returning true if the region is filled. Polygons whose inner rings touch the outer ring or each other in a way that cuts them in parts are split into several polygons there.
+* @param {boolean} [options.repair=false] Make the output valid by all means, like the make-valid operations of other libraries, and report what was changed. The output rings are assembled as with a fill rule (by default 'nonzero'), and input rings with less than three distinct vertices are left out instead of throwing an error. The returned Feature then has a 'repairs' property with the 'zeroAreaRings' left out (such as the collapsed rings at cuts and spikes, and input rings with less than three distinct vertices, with the [feature index, polygon index] 'origin' they come from), the 'droppedRings' with the same fill state as the region around them (with their 'netWinding' and whether they are 'filled'), the 'collapsedSegments' walked in both directions by rings that were merged, and the 'splitVertices' where touching rings were split. Intersections are computed in floating point, so their coordinates may still be off by a rounding error (see the tolerance option).
+* @param {number} [options.tolerance=0] If set, the coordinates of the input vertices and intersections are snapped to a grid with this cell size, and vertices closer than half of it to an edge are considered to lie on it. This merges near-coincident intersections.
+* @param {boolean} [options.geodesic=false] Interpret the coordinates as [longitude, latitude] in degrees on the sphere, and the edges as the shortest great-circle arcs between their vertices. Each simple output ring then encloses its smallest side. The interior of each input polygon is taken to lie on the left of its rings (as in RFC 7946), such that its winding number is 0 outside of it, even if it covers more than half of the sphere. The net winding number of the region outside of all output rings may then differ from 0, and is added to the output as its 'netWindingOutside' property. With a fill rule, this region may be filled: the polygon covering it has the outermost unfilled rings as its rings.
+* @param {Function} [options.trace] Function called with an event object for each step of the algorithm, to inspect what happens (e.g. with traceToGeoJSON). Its 'type' is one of: 'intersections' (all intersections, once they are found), 'queuePush' and 'queuePop' (an intersection added to or taken from the queue, with its predicted parent and winding number), 'queueRemove' (a queued intersection walked over), 'walkStep' (a walk from one intersection to the next), 'ringClosed' (an output ring that is walked), 'parent' (the parent found for an output ring) and 'timing' (the time spent in a step of the algorithm).
+* @param {string} [options.zRule='average'] The input coordinates may have further values after [x,y], such as Z and M, which are then interpolated along the edges for the intersections. Where the input vertices and edges passing through a point disagree on these values, this rule chooses those of the 'first' or 'last' of them in the input, or their 'average'. Vertices may have different numbers of further values: an edge then has as many as the shorter of its ends, and the rule only chooses among the vertices and edges with the most.
+* @param {boolean} [options.topology=false] Add the topology of the output rings to the output, as its 'topology' property (see toTopoJSON). This has 'nodes' (for each intersection its 'coord', its 'type' and the 'edges' starting or ending there), 'edges' (for each segment of an output ring its 'from' and 'to' node, in the direction it was walked, the output ring bounding the 'face' it belongs to, the input 'ringAndEdge' and 'params' it lies on, and its 'twin' edge walked in the opposite direction by another output ring, or -1) and 'faces' (for each output ring its 'edges' in order, its 'parent' and 'children', and its 'neighbours' with which it shares edges). The node type is 'selfIntersection' where edges cross or touch, and 'ringVertex' at a vertex of an input ring that no other edge passes. This can not be combined with a fill rule.
+* @param {boolean} [options.strict=false] Verify the output rings against the input before returning them (see verify), and throw an error describing the violations if any are found. The error then has the full report as its 'report' property.
+* @param {boolean} [options.timing=false] Log the time spent in each step of the algorithm.
+* @return {FeatureCollection|Feature} Feature collection containing the simple, non-self-intersecting one-ring polygon features that the complex polygon is composed of. These simple polygons have properties such as their parent polygon, winding number and net winding number, and the input feature and polygon part they originate from. Their 'segments' property lists for each segment of the ring the input ring and edge ('ringAndEdge', with the rings numbered in the order they appear in the input and the edges by their index in the input ring) and the fractional distances along this edge between which it was walked ('params'). The 'properties' and 'id' of the input feature are kept on its output features. If a fill rule is set, a Polygon or MultiPolygon Feature is returned instead, conform the Simple Features standard: outer rings are counter-clockwise, inner rings are clockwise and neighbouring output rings with the same fill state are merged. With the repair option, this Feature has a 'repairs' property as well.
 *
 * @example
 * var poly = {
@@ -26,49 +34,115 @@ var rbush = require('rbush');
 * // which will be a featureCollection of two polygons, one with coordinates [[[0,0],[2,0],[1,1],[0,0]]], parent -1, winding 1 and net winding 1, and one with coordinates [[[1,1],[0,2],[2,2],[1,1]]], parent -1, winding -1 and net winding -1
 */
 
-module.exports = function(feature,timing) {
+module.exports = function(feature,options) {
 
-  // Debug settings
-  var debug = false;
-  var timestart = timing && process.hrtime();
+  // Options
+  if (typeof(options) === 'boolean') options = {timing: options};
+  options = options || {};
+  var fillRule = options.fillRule;
+  if ((fillRule !== undefined) && (typeof(fillRule) !== 'function') && !fillRules.hasOwnProperty(fillRule)) throw new Error("The fill rule must be a function or one of: "+Object.keys(fillRules).join(", "));
+  var tolerance = toleranceOption(options);
+  var geodesic = !!options.geodesic;
+  var topology = !!options.topology;
+  var strict = !!options.strict;
+  var repair = !!options.repair;
+  if (repair && (fillRule === undefined)) fillRule = 'nonzero';
+  var zRule = options.zRule || 'average';
+  if (!zRules.hasOwnProperty(zRule)) throw new Error("The z rule must be one of: "+Object.keys(zRules).join(", "));
+  if (topology && fillRule) throw new Error("The topology option can not be combined with a fill rule or repair");
 
-  // Check input
-  if (feature.type != "Feature") throw new Error("The input must a geojson object of type Feature");
-  if ((feature.geometry === undefined) || (feature.geometry == null)) throw new Error("The input must a geojson object with a non-empty geometry");
-  if (feature.geometry.type != "Polygon") throw new Error("The input must be a geojson Polygon");
+  // Tracing. The timing option logs the timing events, on top of passing all events to the trace function.
+  var trace = options.trace;
+  if ((trace !== undefined) && (typeof(trace) !== 'function')) throw new Error("The trace option must be a function");
+  if (options.timing) {
+    trace = function(event) {
+      if (event.type == 'timing') console.log(event.ms.toFixed(3) + " ms passed - " + event.phase);
+      if (options.trace) options.trace(event);
+    };
+  }
+  var timestart = trace && now();
 
-  // Process input
-  var numRings = feature.geometry.coordinates.length;
+  // Check and process input
+  // All rings of all input polygons are gathered in one array 'rings', such that they are treated as the rings of one polygon. For each ring, 'ringOrigins' stores the [feature index, polygon index] it comes from.
+  var input = readRings(feature);
+  var ringOrigins = input.origins;
+  if (input.rings.length == 0) throw new Error("The input must contain at least one polygon ring");
+  // Further coordinates (such as Z and M) are kept where the input vertices have them
+  var hasExtraValues = false;
+  for (var i = 0; i < input.rings.length; i++) {
+    for (var j = 0; j < input.extraValues[i].length; j++) hasExtraValues = hasExtraValues || (input.extraValues[i][j].length > 0);
+  }
+  var cleaning = cleanRings(input.rings, tolerance, geodesic);
+  // Rings with less than three distinct vertices enclose nothing. They are an error, unless the input is repaired: they are then left out, and reported as zero-area rings. The remaining rings are those walked over, and 'ringIndices' stores for each the index of the input ring, such that the output (its segments, origins and further coordinates) refers to the input rings. The cleaning of the rings, their origins and their further coordinates remain numbered as in the input.
+  var rings = [];
+  var ringIndices = [];
+  var collapsedRings = [];
+  for (var i = 0; i < input.rings.length; i++) {
+    if (input.rings[i].length >= 4) {
+      rings.push(input.rings[i]);
+      ringIndices.push(i);
+    } else if (repair) {
+      collapsedRings.push({coords: input.rings[i], origin: ringOrigins[i]});
+    } else {
+      throw new Error("The input rings must have at least three distinct vertices");
+    }
+  }
+  var numRings = rings.length;
+  if (numRings == 0) {
+    var output = helpers.featureCollection([]);
+    assembleOutput();
+    addInputProperties();
+    return output;
+  }
   var vertices = [];
   for (var i = 0; i < numRings; i++) {
-    var ring = feature.geometry.coordinates[i];
-    if (!equalArrays(ring[0],ring[ring.length-1])) {
-      ring.push(ring[0]) // Close input ring if it is not
-    }
-    vertices.push.apply(vertices,ring.slice(0,ring.length-1));
+    vertices.push.apply(vertices,rings[i].slice(0,rings[i].length-1));
   }
-  if (!isUnique(vertices)) throw new Error("The input polygon may not have duplicate vertices (except for the first and last vertex of each ring)");
   var numvertices = vertices.length; // number of input ring vertices, with the last closing vertices not counted
+  // In geodesic mode, the input orientation decides the net winding number of the region outside of all output rings (see netWindingOutside). In the plane, it is 0.
+  var windingOutside = geodesic ? netWindingOutside(rings, ringIndices.map(function(index){ return ringOrigins[index]; })) : 0;
   timelog("Processing input");
 
-  // Compute self-intersections
-  var selfIsectsData = isects(feature, function filterFn(isect, ring0, edge0, start0, end0, frac0, ring1, edge1, start1, end1, frac1, unique){
-    return [isect, ring0, edge0, start0, end0, frac0, ring1, edge1, start1, end1, frac1, unique];
-  });
+  var edgeRbushTree = edgeTree(rings, geodesic);
+
+  var selfIsectsData = findSelfIsects(rings, edgeRbushTree, tolerance, geodesic);
   var numSelfIsect = selfIsectsData.length;
   timelog("Computing self-intersections");
 
-  // If no self-intersections are found, the input rings are the output rings. Hence, we must only compute their winding numbers, net winding numbers and (since ohers rings could lie outside the first ring) parents.
-  if (numSelfIsect == 0) {
+  var vtxOnEdgeData = findVtxsOnEdges(rings, edgeRbushTree, tolerance, geodesic);
+  var numVtxOnEdge = vtxOnEdgeData.length;
+  timelog("Computing vertices on edges");
+
+  // If no self-intersections, vertices on edges or duplicate vertices are found, the input rings are the output rings. Hence, we must only compute their winding numbers, net winding numbers and (since ohers rings could lie outside the first ring) parents.
+  if ((numSelfIsect == 0) && (numVtxOnEdge == 0) && isUnique(vertices)) {
+    // The trace reports the same events as for a walk: the ring vertices as the only intersections (numbered as they would be in isectList), and each input ring as a closed output ring, of which the parent is determined afterwards.
+    if (trace) {
+      var ringVertexIsects = [];
+      for (var i = 0; i < numRings; i++) {
+        for (var j = 0; j < rings[i].length-1; j++) {
+          ringVertexIsects.push({index: ringVertexIsects.length, coord: rings[i][j], ringAndEdge1: [i, (j-1).modulo(rings[i].length-1)], ringAndEdge2: [i, j], ringVertex: true});
+        }
+      }
+      trace({type: 'intersections', intersections: ringVertexIsects});
+    }
     var outputFeatureArray = [];
     for(var i = 0; i < numRings; i++) {
-      outputFeatureArray.push(helpers.polygon([feature.geometry.coordinates[i]],{parent: -1, winding: windingOfRing(feature.geometry.coordinates[i])}));
+      var segments = [];
+      for (var j = 0; j < rings[i].length-1; j++) {
+        segments.push({ringAndEdge: inputEdge([i, j]), params: [0, 1]});
+      }
+      outputFeatureArray.push(helpers.polygon([rings[i]],{index: i, parent: -1, winding: windingOfRing(rings[i], geodesic), netWinding: undefined, origins: [ringOrigins[ringIndices[i]]], segments: segments}));
+      if (trace) trace({type: 'ringClosed', outputRing: i, coordinates: rings[i], parent: -1, winding: outputFeatureArray[i].properties.winding, outputFeatures: [i]});
     }
     var output = helpers.featureCollection(outputFeatureArray)
     determineParents();
     setNetWinding();
-    if (debug) console.log("No self-intersections found. Input rings are output rings. Computed winding numbers, net winding numbers and parents");
+    if (strict) verifyOutput();
+    if (hasExtraValues) addExtraValues();
     timelog("Finishing without self-intersections");
+    if (topology) output.topology = buildTopology(output.features);
+    if (fillRule) assembleOutput();
+    addInputProperties();
     return output;
   }
 
@@ -81,70 +155,149 @@ module.exports = function(feature,timing) {
   // Adding ring-pseudo-vertices to pseudoVtxListByRingAndEdge and ring-vertex-intersections to isectList
   for (var i = 0; i < numRings; i++) {
     pseudoVtxListByRingAndEdge.push([]);
-    for (var j = 0; j < feature.geometry.coordinates[i].length-1; j++) {
+    var ringOffset = isectList.length;
+    for (var j = 0; j < rings[i].length-1; j++) {
       // Each edge will feature one ring-pseudo-vertex in its array, on the last position. i.e. edge j features the ring-pseudo-vertex of the ring vertex j+1, which has ringAndEdgeIn = [i,j], on the last position.
-      pseudoVtxListByRingAndEdge[i].push([new PseudoVtx(feature.geometry.coordinates[i][(j+1).modulo(feature.geometry.coordinates[i].length-1)], 1, [i, j], [i, (j+1).modulo(feature.geometry.coordinates[i].length-1)], undefined)]);
+      pseudoVtxListByRingAndEdge[i].push([new PseudoVtx(rings[i][(j+1).modulo(rings[i].length-1)], 1, [i, j], [i, (j+1).modulo(rings[i].length-1)], undefined, ringOffset + (j+1).modulo(rings[i].length-1))]);
       // The first numvertices elements in isectList correspond to the ring-vertex-intersections
-      isectList.push(new Isect(feature.geometry.coordinates[i][j], [i, (j-1).modulo(feature.geometry.coordinates[i].length-1)], [i, j], undefined, undefined, false, true));
+      isectList.push(new Isect(rings[i][j], [i, (j-1).modulo(rings[i].length-1)], [i, j], undefined, undefined, false, true));
     }
   }
-  // Adding intersection-pseudo-vertices to pseudoVtxListByRingAndEdge and self-intersections to isectList
+  // Adding intersection-pseudo-vertices made using selfIsectsData to pseudoVtxListByRingAndEdge's arrays corresponding to both crossing rings and edges. Both are given the same coordinates, such that they are found to be at the same intersection below.
+  // When more than two edges cross at the same point, or when they cross at a vertex, an edge would get multiple pseudo-vertices at the same coordinates. We only add the first one.
+  // An intersection can also lie at the start or end vertex of an edge, e.g. when it is snapped there or when it lies very close. The ring-pseudo-vertex is then already present at those coordinates.
+  // To find pseudo-vertices at the same coordinates, we sort them all by their coordinates (and then by the order in which they are made, such that the first one comes first), and number the groups of equal coordinates that follow. Keying them on their coordinates as strings is much slower for polygons with many self-intersections.
+  var allPseudoVtxs = [];
+  for (var i = 0; i < numRings; i++) {
+    for (var j = 0; j < rings[i].length-1; j++) allPseudoVtxs.push(pseudoVtxListByRingAndEdge[i][j][0]);
+  }
   for (var i = 0; i < numSelfIsect; i++) {
-    // Adding intersection-pseudo-vertices made using selfIsectsData to pseudoVtxListByRingAndEdge's array corresponding to the incomming ring and edge
-    pseudoVtxListByRingAndEdge[selfIsectsData[i][1]][selfIsectsData[i][2]].push(new PseudoVtx(selfIsectsData[i][0], selfIsectsData[i][5], [selfIsectsData[i][1], selfIsectsData[i][2]], [selfIsectsData[i][6], selfIsectsData[i][7]], undefined));
-    // selfIsectsData contains double mentions of each intersection, but we only want to add them once to isectList
-    if (selfIsectsData[i][11]) isectList.push(new Isect(selfIsectsData[i][0], [selfIsectsData[i][1], selfIsectsData[i][2]], [selfIsectsData[i][6], selfIsectsData[i][7]], undefined, undefined, true, true));
+    allPseudoVtxs.push(new PseudoVtx(selfIsectsData[i][0], selfIsectsData[i][5], [selfIsectsData[i][1], selfIsectsData[i][2]], [selfIsectsData[i][6], selfIsectsData[i][7]], undefined, undefined));
+    allPseudoVtxs.push(new PseudoVtx(selfIsectsData[i][0], selfIsectsData[i][10], [selfIsectsData[i][6], selfIsectsData[i][7]], [selfIsectsData[i][1], selfIsectsData[i][2]], undefined, undefined));
+  }
+  // Adding pseudo-vertices for vertices on edges. Here, the edge simply continues after the pseudo-vertex.
+  for (var i = 0; i < numVtxOnEdge; i++) {
+    allPseudoVtxs.push(new PseudoVtx(vtxOnEdgeData[i][0], vtxOnEdgeData[i][3], [vtxOnEdgeData[i][1], vtxOnEdgeData[i][2]], [vtxOnEdgeData[i][1], vtxOnEdgeData[i][2]], undefined, undefined));
+  }
+  var pseudoVtxOrder = [];
+  for (var i = 0; i < allPseudoVtxs.length; i++) pseudoVtxOrder.push(i);
+  pseudoVtxOrder.sort(function(a, b){ return compareCoords(allPseudoVtxs[a].coord, allPseudoVtxs[b].coord) || (a - b); });
+  // The edges (their ringAndEdgeIn) that already got a pseudo-vertex in the current group are kept as keys of an object, which is emptied when the next group starts.
+  var numCoordGroups = 0;
+  var addedRingAndEdgesInGroup;
+  for (var i = 0; i < pseudoVtxOrder.length; i++) {
+    var pseudoVtx = allPseudoVtxs[pseudoVtxOrder[i]];
+    if ((i == 0) || (compareCoords(pseudoVtx.coord, allPseudoVtxs[pseudoVtxOrder[i-1]].coord) != 0)) {
+      numCoordGroups++;
+      addedRingAndEdgesInGroup = {};
+    }
+    pseudoVtx.coordGroup = numCoordGroups - 1;
+    if (pseudoVtxOrder[i] < numvertices) continue // Ring-pseudo-vertices are already added
+    if (equalArrays(pseudoVtx.coord, rings[pseudoVtx.ringAndEdgeIn[0]][pseudoVtx.ringAndEdgeIn[1]]) || equalArrays(pseudoVtx.coord, rings[pseudoVtx.ringAndEdgeIn[0]][pseudoVtx.ringAndEdgeIn[1]+1])) continue
+    pseudoVtx.added = !addedRingAndEdgesInGroup.hasOwnProperty(pseudoVtx.ringAndEdgeIn);
+    addedRingAndEdgesInGroup[pseudoVtx.ringAndEdgeIn] = true;
+  }
+  for (var i = numvertices; i < allPseudoVtxs.length; i++) {
+    if (allPseudoVtxs[i].added) pseudoVtxListByRingAndEdge[allPseudoVtxs[i].ringAndEdgeIn[0]][allPseudoVtxs[i].ringAndEdgeIn[1]].push(allPseudoVtxs[i]);
   }
-  var numIsect = isectList.length;
   // Sort edge arrays of pseudoVtxListByRingAndEdge by the fractional distance 'param'
   for (var i = 0; i < pseudoVtxListByRingAndEdge.length; i++) {
     for (var j = 0; j < pseudoVtxListByRingAndEdge[i].length; j++) {
       pseudoVtxListByRingAndEdge[i][j].sort(function(a, b){ return (a.param < b.param) ? -1 : 1 ; } );
     }
   }
-  timelog("Setting up pseudoVtxListByRingAndEdge and isectList");
 
-  // Make a spatial index of intersections, in preperation for the following two steps
-  allIsectsAsIsectRbushTreeItem = [];
-  for (var i = 0; i < numIsect; i++) {
-    allIsectsAsIsectRbushTreeItem.push({minX: isectList[i].coord[0], minY: isectList[i].coord[1], maxX: isectList[i].coord[0], maxY: isectList[i].coord[1], index: i}); // could pass isect: isectList[i], but not necessary
+  // Group the pseudo-vertices by their coordinates, and teach each pseudo-vertex at which intersection in isectList it lies.
+  var pseudoVtxsByCoordGroup = [];
+  var coordGroupsWithPseudoVtxs = [];
+  for (var i = 0; i < pseudoVtxListByRingAndEdge.length; i++){
+    for (var j = 0; j < pseudoVtxListByRingAndEdge[i].length; j++){
+      for (var k = 0; k < pseudoVtxListByRingAndEdge[i][j].length; k++){
+        var coordGroup = pseudoVtxListByRingAndEdge[i][j][k].coordGroup;
+        if (pseudoVtxsByCoordGroup[coordGroup] === undefined) {
+          pseudoVtxsByCoordGroup[coordGroup] = [];
+          coordGroupsWithPseudoVtxs.push(coordGroup);
+        }
+        pseudoVtxsByCoordGroup[coordGroup].push(pseudoVtxListByRingAndEdge[i][j][k]);
+      }
+    }
+  }
+  // A ring-pseudo-vertex that is alone at its coordinates lies at its ring-vertex-intersection, and two intersection-pseudo-vertices of crossing edges that are alone at their coordinates lie at a new self-intersection.
+  // All other cases are degenerate intersections: repeated vertices, vertices on edges and more than two edges crossing at the same point. There, we pair each incoming edge with an outgoing edge, such that walks over the intersection never cross each other. We then make one intersection for each pseudo-vertex, from which we walk away over the outgoing edge paired with the incoming edge of the pseudo-vertex. For ring-pseudo-vertices we re-use their ring-vertex-intersection. Since every walk over such an intersection is fixed beforehand, it is never added to the queue.
+  var hasDegenerateIsects = false;
+  for (var i = 0; i < coordGroupsWithPseudoVtxs.length; i++) {
+    var pseudoVtxs = pseudoVtxsByCoordGroup[coordGroupsWithPseudoVtxs[i]];
+    if ((pseudoVtxs.length == 1) && (pseudoVtxs[0].param == 1)) continue
+    if ((pseudoVtxs.length == 2) && (pseudoVtxs[0].param < 1) && (pseudoVtxs[1].param < 1) && equalArrays(pseudoVtxs[0].ringAndEdgeOut, pseudoVtxs[1].ringAndEdgeIn) && equalArrays(pseudoVtxs[1].ringAndEdgeOut, pseudoVtxs[0].ringAndEdgeIn)) {
+      pseudoVtxs[0].isect = pseudoVtxs[1].isect = isectList.length;
+      isectList.push(new Isect(pseudoVtxs[0].coord, pseudoVtxs[0].ringAndEdgeIn, pseudoVtxs[1].ringAndEdgeIn, undefined, undefined, true, true));
+      continue
+    }
+    hasDegenerateIsects = true;
+    var inEdges = [];
+    var outEdges = [];
+    var inKeys = [];
+    var outKeys = [];
+    for (var j = 0; j < pseudoVtxs.length; j++) {
+      if (pseudoVtxs[j].param < 1) pseudoVtxs[j].ringAndEdgeOut = pseudoVtxs[j].ringAndEdgeIn; // Crossing edges simply continue here, untill they are paired
+      inEdges.push(rings[pseudoVtxs[j].ringAndEdgeIn[0]].slice(pseudoVtxs[j].ringAndEdgeIn[1], pseudoVtxs[j].ringAndEdgeIn[1]+2));
+      outEdges.push(rings[pseudoVtxs[j].ringAndEdgeOut[0]].slice(pseudoVtxs[j].ringAndEdgeOut[1], pseudoVtxs[j].ringAndEdgeOut[1]+2));
+      inKeys.push(pseudoVtxs[j].ringAndEdgeIn);
+      outKeys.push(pseudoVtxs[j].ringAndEdgeOut);
+    }
+    var pairedOut = pairEdgesAtIsect(pseudoVtxs[0].coord, inEdges, outEdges, inKeys, outKeys, geodesic);
+    for (var j = 0; j < pseudoVtxs.length; j++) {
+      if (pseudoVtxs[j].param < 1) {
+        pseudoVtxs[j].isect = isectList.length;
+        isectList.push(new Isect(pseudoVtxs[j].coord, pseudoVtxs[j].ringAndEdgeIn, undefined, undefined, undefined, false, true));
+      }
+      pseudoVtxs[j].pseudoVtxOut = pseudoVtxs[pairedOut[j]];
+      isectList[pseudoVtxs[j].isect].ringAndEdge2 = pseudoVtxs[pairedOut[j]].ringAndEdgeOut;
+    }
   }
-  var isectRbushTree = rbush();
-  isectRbushTree.load(allIsectsAsIsectRbushTreeItem);
+  var numIsect = isectList.length;
+  if (trace) trace({type: 'intersections', intersections: isectList.map(function(isect, index){ return {index: index, coord: isect.coord, ringAndEdge1: isect.ringAndEdge1, ringAndEdge2: isect.ringAndEdge2, ringVertex: index < numvertices}; })});
+  timelog("Setting up pseudoVtxListByRingAndEdge and isectList");
 
   // Now we will teach each intersection in isectList which is the next intersection along both it's [ring, edge]'s, in two steps.
   // First, we find the next intersection for each pseudo-vertex in pseudoVtxListByRingAndEdge:
-  // For each pseudovertex in pseudoVtxListByRingAndEdge (3 loops) look at the next pseudovertex on that edge and find the corresponding intersection by comparing coordinates
+  // For each pseudovertex in pseudoVtxListByRingAndEdge (3 loops) look at the next pseudovertex on that edge and the intersection it lies at
   for (var i = 0; i < pseudoVtxListByRingAndEdge.length; i++){
     for (var j = 0; j < pseudoVtxListByRingAndEdge[i].length; j++){
       for (var k = 0; k < pseudoVtxListByRingAndEdge[i][j].length; k++){
-        var coordToFind;
         if (k == pseudoVtxListByRingAndEdge[i][j].length-1) { // If it's the last pseudoVertex on that edge, then the next pseudoVertex is the first one on the next edge of that ring.
-          coordToFind = pseudoVtxListByRingAndEdge[i][(j+1).modulo(feature.geometry.coordinates[i].length-1)][0].coord;
+          var nxtPseudoVtx = pseudoVtxListByRingAndEdge[i][(j+1).modulo(rings[i].length-1)][0];
         } else {
-          coordToFind = pseudoVtxListByRingAndEdge[i][j][k+1].coord;
+          var nxtPseudoVtx = pseudoVtxListByRingAndEdge[i][j][k+1];
         }
-        var IsectRbushTreeItemFound = isectRbushTree.search({minX: coordToFind[0], minY: coordToFind[1], maxX: coordToFind[0], maxY: coordToFind[1]})[0]; // We can take [0] of the result, because there is only one isect correponding to a pseudo-vertex
-        pseudoVtxListByRingAndEdge[i][j][k].nxtIsectAlongEdgeIn = IsectRbushTreeItemFound.index;
+        pseudoVtxListByRingAndEdge[i][j][k].nxtIsectAlongEdgeIn = nxtPseudoVtx.isect;
+        pseudoVtxListByRingAndEdge[i][j][k].nxtParamAlongEdgeIn = nxtPseudoVtx.param;
       }
     }
   }
   timelog("Computing nextIsect for pseudoVtxListByRingAndEdge");
 
-  // Second, we port this knowledge of the next intersection over to the intersections in isectList, by finding the intersection corresponding to each pseudo-vertex and copying the pseudo-vertex' knownledge of the next-intersection over to the intersection
+  // Second, we port this knowledge of the next intersection over to the intersections in isectList, by taking the intersection corresponding to each pseudo-vertex and copying the pseudo-vertex' knownledge of the next-intersection over to the intersection
+  // Along with it, we store the fractional distances on the edge at which the walk to this next intersection starts and ends. The walk starts at the pseudo-vertex we walk away from over its outgoing edge, or at the start of this edge if it is a ring-pseudo-vertex.
   for (var i = 0; i < pseudoVtxListByRingAndEdge.length; i++){
     for (var j = 0; j < pseudoVtxListByRingAndEdge[i].length; j++){
       for (var k = 0; k < pseudoVtxListByRingAndEdge[i][j].length; k++){
-        var coordToFind = pseudoVtxListByRingAndEdge[i][j][k].coord;
-        var IsectRbushTreeItemFound = isectRbushTree.search({minX: coordToFind[0], minY: coordToFind[1], maxX: coordToFind[0], maxY: coordToFind[1]})[0]; // We can take [0] of the result, because there is only one isect correponding to a pseudo-vertex
-        var l = IsectRbushTreeItemFound.index;
-        if (l < numvertices) { // Special treatment at ring-vertices: we correct the misnaming that happened in the previous block, since ringAndEdgeOut = ringAndEdge2 for ring vertices.
+        var l = pseudoVtxListByRingAndEdge[i][j][k].isect;
+        var pseudoVtxOut = pseudoVtxListByRingAndEdge[i][j][k].pseudoVtxOut || pseudoVtxListByRingAndEdge[i][j][k];
+        var params = [(pseudoVtxOut.param < 1) ? pseudoVtxOut.param : 0, pseudoVtxOut.nxtParamAlongEdgeIn];
+        if (pseudoVtxListByRingAndEdge[i][j][k].pseudoVtxOut) { // At degenerate intersections, we walk away along the outgoing edge of the paired pseudo-vertex
+          isectList[l].nxtIsectAlongRingAndEdge2 = pseudoVtxOut.nxtIsectAlongEdgeIn;
+          isectList[l].paramsAlongRingAndEdge2 = params;
+        } else if (l < numvertices) { // Special treatment at ring-vertices: we correct the misnaming that happened in the previous block, since ringAndEdgeOut = ringAndEdge2 for ring vertices.
             isectList[l].nxtIsectAlongRingAndEdge2 = pseudoVtxListByRingAndEdge[i][j][k].nxtIsectAlongEdgeIn;
+            isectList[l].paramsAlongRingAndEdge2 = params;
         } else { // Port the knowledge of the next intersection from the pseudo-vertices to the intersections, depending on how the edges are labeled in the pseudo-vertex and intersection.
           if (equalArrays(isectList[l].ringAndEdge1, pseudoVtxListByRingAndEdge[i][j][k].ringAndEdgeIn)) {
             isectList[l].nxtIsectAlongRingAndEdge1 = pseudoVtxListByRingAndEdge[i][j][k].nxtIsectAlongEdgeIn;
+            isectList[l].paramsAlongRingAndEdge1 = params;
           } else {
             isectList[l].nxtIsectAlongRingAndEdge2 = pseudoVtxListByRingAndEdge[i][j][k].nxtIsectAlongEdgeIn;
+            isectList[l].paramsAlongRingAndEdge2 = params;
           }
         }
       }
@@ -155,118 +308,154 @@ module.exports = function(feature,timing) {
 
   // Before we start walking over the intersections to build the output rings, we prepare a queue that stores information on intersections we still have to deal with, and put at least one intersection in it.
   // This queue will contain information on intersections where we can start walking from once the current walk is finished, and its parent output ring (the smallest output ring it lies within, -1 if no parent or parent unknown yet) and its winding number (which we can already determine).
-  var queue = []
-  // For each output ring, add the ring-vertex-intersection with the smalles x-value (i.e. the left-most) as a start intersection. By choosing such an extremal intersections, we are sure to start at an intersection that is a convex vertex of its output ring. By adding them all to the queue, we are sure that no rings will be forgotten. If due to ring-intersections such an intersection will be encountered while walking, it will be removed from the queue.
+  // Intersections are removed from the queue when we walk over them. Instead of looking for them in the queue, we store the queue object of each queued intersection in 'queuedObjects', and remove it from there. Popped objects that are no longer stored there have been removed, and are skipped.
+  var queue = [];
+  var queuedObjects = [];
+  var numQueued = 0;
+  // For each output ring, add the ring-vertex-intersection with the smalles x-value (i.e. the left-most, and the lowest of those) as a start intersection. By choosing such an extremal intersections, we are sure to start at an intersection that is a convex vertex of its output ring. By adding them all to the queue, we are sure that no rings will be forgotten. If due to ring-intersections such an intersection will be encountered while walking, it will be removed from the queue.
+  // To compute the winding number at such an intersection, we need the intersection before it. We precompute these for all intersections, by following all next intersections (at degenerate intersections or in geodesic mode, we won't need them).
+  if (!hasDegenerateIsects && !geodesic) {
+    var isectBefore = [];
+    for (var i = numIsect-1; i >= 0; i--) {
+      if (isectList[i].nxtIsectAlongRingAndEdge1 !== undefined) isectBefore[isectList[i].nxtIsectAlongRingAndEdge1] = i;
+      if (isectList[i].nxtIsectAlongRingAndEdge2 !== undefined) isectBefore[isectList[i].nxtIsectAlongRingAndEdge2] = i;
+    }
+  }
   var i = 0;
   for (var j = 0; j < numRings; j++) {
     var leftIsect = i;
-    for (var k = 0; k < feature.geometry.coordinates[j].length-1; k++) {
-      if (isectList[i].coord[0] < isectList[leftIsect].coord[0]) {
+    for (var k = 0; k < rings[j].length-1; k++) {
+      if (compareCoords(isectList[i].coord, isectList[leftIsect].coord) < 0) {
         leftIsect = i;
       }
       i++;
     }
+    // At degenerate intersections, output rings can touch themselves. We can hence not predict winding numbers and parents, and determine them after walking.
+    // The same goes for the geodesic mode, where the left-most intersection is not necessarily on the outside: on the sphere, no ring lies outside of all others.
+    if (hasDegenerateIsects || geodesic) {
+      queuePush({isect: leftIsect, parent: -1, winding: undefined});
+      continue
+    }
     // Compute winding at this left-most ring-vertex-intersection. We thus this by using our knowledge that this extremal vertex must be a convex vertex.
     // We first find the intersection before and after it, and then use them to determine the winding number of the corresponding output ring, since we know that an extremal vertex of a simple, non-self-intersecting ring is always convex, so the only reason it would not be is because the winding number we use to compute it is wrong
     var isectAfterLeftIsect = isectList[leftIsect].nxtIsectAlongRingAndEdge2;
-    for (var k = 0; k < isectList.length; k++) {
-      if ((isectList[k].nxtIsectAlongRingAndEdge1 == leftIsect) || (isectList[k].nxtIsectAlongRingAndEdge2 == leftIsect)) {
-        var isectBeforeLeftIsect = k;
-        break
-      }
-    }
-    var windingAtIsect = isConvex([isectList[isectBeforeLeftIsect].coord,isectList[leftIsect].coord,isectList[isectAfterLeftIsect].coord],true) ? 1 : -1;
+    var isectBeforeLeftIsect = isectBefore[leftIsect];
+    var windingAtIsect = isConvex([isectList[isectBeforeLeftIsect].coord,isectList[leftIsect].coord,isectList[isectAfterLeftIsect].coord],true,geodesic) ? 1 : -1;
 
-    queue.push({isect: leftIsect, parent: -1, winding: windingAtIsect})
+    queuePush({isect: leftIsect, parent: -1, winding: windingAtIsect})
   }
   // Sort the queue by the same criterion used to find the leftIsect: the left-most leftIsect must be last in the queue, such that it will be popped first, such that we will work from out to in regarding input rings. This assumtion is used when predicting the winding number and parent of a new queue member.
-  queue.sort(function(a, b){ return (isectList[a.isect].coord > isectList[b.isect].coord) ? -1 : 1 });
-  if (debug) console.log("Initial state of the queue: "+JSON.stringify(queue));
+  queue.sort(function(a, b){ return compareCoords(isectList[b.isect].coord, isectList[a.isect].coord) });
   timelog("Setting up queue");
 
   // Initialise output
   var outputFeatureArray = [];
+  // Since degenerate intersections are never added to the queue, it can become empty while there are still output rings to be found. We then add an intersection we have not walked away from yet, which we look for in isectList from 'unwalkedIsect' on.
+  var unwalkedIsect = 0;
 
   // While the queue is not empty, take the last object (i.e. its intersection) out and start making an output ring by walking in the direction that has not been walked away over yet.
-  while (queue.length>0) {
+  while (numQueued>0) {
     // Get the last object out of the queue
-    var popped = queue.pop();
+    var popped = queuePop();
     var startIsect = popped.isect;
     var currentOutputRingParent = popped.parent;
     var currentOutputRingWinding = popped.winding;
     // Make new output ring and add vertex from starting intersection
     var currentOutputRing = outputFeatureArray.length;
     var currentOutputRingCoords = [isectList[startIsect].coord];
-    if (debug) console.log("# Starting output ring number "+outputFeatureArray.length+" with winding "+currentOutputRingWinding+" from intersection "+startIsect);
-    if (debug) if (startIsect < numvertices) console.log("This is a ring-vertex-intersections, which means this output ring does not touch existing output rings");
-    // Set up the variables used while walking over intersections: 'currentIsect', 'nxtIsect' and 'walkingRingAndEdge'
+    var currentOutputRingSegments = []; // The input ring and edge walked over for each segment of the output ring, and the fractional distances on it between which it was walked
+    // Set up the variables used while walking over intersections: 'currentIsect', 'nxtIsect' and 'walkingRingAndEdge', and remember that we (will) have walked away from the starting intersection
     var currentIsect = startIsect;
-    if (isectList[startIsect].ringAndEdge1Walkable) {
+    var startAlongRingAndEdge1 = isectList[startIsect].ringAndEdge1Walkable;
+    if (startAlongRingAndEdge1) {
       var walkingRingAndEdge = isectList[startIsect].ringAndEdge1;
+      var walkingParams = isectList[startIsect].paramsAlongRingAndEdge1;
       var nxtIsect = isectList[startIsect].nxtIsectAlongRingAndEdge1;
+      isectList[startIsect].ringAndEdge1Walkable = false;
     } else {
       var walkingRingAndEdge = isectList[startIsect].ringAndEdge2;
+      var walkingParams = isectList[startIsect].paramsAlongRingAndEdge2;
       var nxtIsect = isectList[startIsect].nxtIsectAlongRingAndEdge2;
+      isectList[startIsect].ringAndEdge2Walkable = false;
     }
-    // While we have not arrived back at the same intersection, keep walking
-    while (!equalArrays(isectList[startIsect].coord,isectList[nxtIsect].coord)){
-      if (debug) console.log("Walking from intersection "+currentIsect+" to "+nxtIsect+" over ring "+walkingRingAndEdge[0]+" and edge "+walkingRingAndEdge[1]);
+    // While we have not arrived back at the starting intersection over the other ring and edge than the one we started walking over, keep walking
+    while (!((nxtIsect == startIsect) && (equalArrays(walkingRingAndEdge,isectList[startIsect].ringAndEdge1) != startAlongRingAndEdge1))){
+      traceWalkStep();
+      currentOutputRingSegments.push({ringAndEdge: inputEdge(walkingRingAndEdge), params: walkingParams});
       currentOutputRingCoords.push(isectList[nxtIsect].coord);
-      if (debug) console.log("Adding intersection "+nxtIsect+" to current output ring");
       // If the next intersection is queued, we can remove it, because we will go there now.
-      var nxtIsectInQueue = undefined;
-      for(var i = 0; i < queue.length; i++) { if (queue[i].isect == nxtIsect) {nxtIsectInQueue = i; break; } }
-      if (nxtIsectInQueue != undefined) {
-        if (debug) console.log("Removing intersection "+nxtIsect+" from queue");
-        queue.splice(nxtIsectInQueue,1);
+      if (queuedObjects[nxtIsect] !== undefined) {
+        if (trace) trace({type: 'queueRemove', isect: nxtIsect, coord: isectList[nxtIsect].coord});
+        queueRemove(nxtIsect);
       }
       // Arriving at this new intersection, we know which will be our next walking ring and edge (if we came from 1 we will walk away from 2 and vice versa),
       // So we can set it as our new walking ring and intersection and remember that we (will) have walked over it
       // If we have never walked away from this new intersection along the other ring and edge then we will soon do, add the intersection (and the parent wand winding number) to the queue
       // (We can predict the winding number and parent as follows: if the edge is convex, the other output ring started from there will have the alternate winding and lie outside of the current one, and thus have the same parent ring as the current ring. Otherwise, it will have the same winding number and lie inside of the current ring. We are, however, only sure of this of an output ring started from there does not enclose the current ring. This is why the initial queue's intersections must be sorted such that outer ones come out first.)
+      // (If the winding number of the current output ring is unknown, so are those of the other output ring.)
       // We then update the other two walking variables.
       if (equalArrays(walkingRingAndEdge,isectList[nxtIsect].ringAndEdge1)) {
         walkingRingAndEdge = isectList[nxtIsect].ringAndEdge2;
+        walkingParams = isectList[nxtIsect].paramsAlongRingAndEdge2;
         isectList[nxtIsect].ringAndEdge2Walkable = false;
         if (isectList[nxtIsect].ringAndEdge1Walkable) {
-          if (debug) console.log("Adding intersection "+nxtIsect+" to queue");
           var pushing = {isect: nxtIsect};
-          if (isConvex([isectList[currentIsect].coord, isectList[nxtIsect].coord, isectList[isectList[nxtIsect].nxtIsectAlongRingAndEdge2].coord],currentOutputRingWinding == 1)) {
+          if (currentOutputRingWinding === undefined) {
+            pushing.parent = -1;
+            pushing.winding = undefined;
+          } else if (isConvex([isectList[currentIsect].coord, isectList[nxtIsect].coord, isectList[isectList[nxtIsect].nxtIsectAlongRingAndEdge2].coord],currentOutputRingWinding == 1,geodesic)) {
             pushing.parent = currentOutputRingParent;
             pushing.winding = -currentOutputRingWinding;
           } else {
             pushing.parent = currentOutputRing;
             pushing.winding = currentOutputRingWinding;
           }
-          queue.push(pushing);
+          queuePush(pushing);
         }
         currentIsect = nxtIsect;
         nxtIsect = isectList[nxtIsect].nxtIsectAlongRingAndEdge2;
       } else {
         walkingRingAndEdge = isectList[nxtIsect].ringAndEdge1;
+        walkingParams = isectList[nxtIsect].paramsAlongRingAndEdge1;
         isectList[nxtIsect].ringAndEdge1Walkable = false;
         if (isectList[nxtIsect].ringAndEdge2Walkable) {
-          if (debug) console.log("Adding intersection "+nxtIsect+" to queue");
           var pushing = {isect: nxtIsect};
-          if (isConvex([isectList[currentIsect].coord, isectList[nxtIsect].coord, isectList[isectList[nxtIsect].nxtIsectAlongRingAndEdge1].coord],currentOutputRingWinding == 1)) {
+          if (currentOutputRingWinding === undefined) {
+            pushing.parent = -1;
+            pushing.winding = undefined;
+          } else if (isConvex([isectList[currentIsect].coord, isectList[nxtIsect].coord, isectList[isectList[nxtIsect].nxtIsectAlongRingAndEdge1].coord],currentOutputRingWinding == 1,geodesic)) {
             pushing.parent = currentOutputRingParent;
             pushing.winding = -currentOutputRingWinding;
           } else {
             pushing.parent = currentOutputRing;
             pushing.winding = currentOutputRingWinding;
           }
-          queue.push(pushing);
+          queuePush(pushing);
         }
         currentIsect = nxtIsect;
         nxtIsect = isectList[nxtIsect].nxtIsectAlongRingAndEdge1;
       }
-      if (debug) console.log("Current state of the queue: "+JSON.stringify(queue));
     }
-    if (debug) console.log("Walking from intersection "+currentIsect+" to "+nxtIsect+" over ring "+walkingRingAndEdge[0]+" and edge "+walkingRingAndEdge[1]+" and closing ring");
+    traceWalkStep();
     // Close output ring
     currentOutputRingCoords.push(isectList[nxtIsect].coord);
+    currentOutputRingSegments.push({ringAndEdge: inputEdge(walkingRingAndEdge), params: walkingParams});
     // Push output ring to output
-    outputFeatureArray.push(helpers.polygon([currentOutputRingCoords],{index: currentOutputRing, parent: currentOutputRingParent, winding: currentOutputRingWinding, netWinding: undefined}));
+    if (currentOutputRingWinding === undefined) {
+      // If the winding number is unknown, the output ring may touch itself at degenerate intersections. We split it there into simple rings, compute their winding numbers directly and leave their parents to be determined.
+      var simpleRings = splitRing(currentOutputRingCoords, currentOutputRingSegments);
+      for (var i = 0; i < simpleRings.length; i++) {
+        outputFeatureArray.push(helpers.feature({type: "Polygon", coordinates: [simpleRings[i][0]]},{index: outputFeatureArray.length, parent: -1, winding: windingOfRing(simpleRings[i][0], geodesic), netWinding: undefined, origins: originsOfSegments(simpleRings[i][1]), segments: simpleRings[i][1]}));
+      }
+    } else {
+      outputFeatureArray.push(helpers.polygon([currentOutputRingCoords],{index: currentOutputRing, parent: currentOutputRingParent, winding: currentOutputRingWinding, netWinding: undefined, origins: originsOfSegments(currentOutputRingSegments), segments: currentOutputRingSegments}));
+    }
+    if (trace) trace({type: 'ringClosed', outputRing: currentOutputRing, coordinates: currentOutputRingCoords, parent: currentOutputRingParent, winding: currentOutputRingWinding, outputFeatures: outputFeatureArray.slice(currentOutputRing).map(function(feature){ return feature.properties.index; })});
+    // If the queue is empty, look for an intersection we have not walked away from yet
+    if (numQueued == 0) {
+      while ((unwalkedIsect < numIsect) && !isectList[unwalkedIsect].ringAndEdge1Walkable && !isectList[unwalkedIsect].ringAndEdge2Walkable) unwalkedIsect++;
+      if (unwalkedIsect < numIsect) queuePush({isect: unwalkedIsect, parent: -1, winding: undefined});
+    }
   }
 
   var output = helpers.featureCollection(outputFeatureArray);
@@ -278,63 +467,207 @@ module.exports = function(feature,timing) {
   setNetWinding();
   timelog("Setting winding number");
 
+  if (strict) {
+    verifyOutput();
+    timelog("Verifying output");
+  }
+
+  if (hasExtraValues) {
+    addExtraValues();
+    timelog("Interpolating further coordinates");
+  }
+
+  if (topology) {
+    output.topology = buildTopology(output.features);
+    timelog("Building topology");
+  }
+
+  // Functions to push an object to the queue, pop the last object that was not removed and remove the object of a queued intersection
+  function queuePush(object) {
+    queue.push(object);
+    if (queuedObjects[object.isect] === undefined) numQueued++;
+    queuedObjects[object.isect] = object;
+    if (trace) trace({type: 'queuePush', isect: object.isect, coord: isectList[object.isect].coord, parent: object.parent, winding: object.winding});
+  }
+  function queuePop() {
+    var popped = queue.pop();
+    while (queuedObjects[popped.isect] !== popped) popped = queue.pop();
+    queueRemove(popped.isect);
+    if (trace) trace({type: 'queuePop', isect: popped.isect, coord: isectList[popped.isect].coord, parent: popped.parent, winding: popped.winding, outputRing: outputFeatureArray.length});
+    return popped;
+  }
+  function queueRemove(isect) {
+    queuedObjects[isect] = undefined;
+    numQueued--;
+  }
+
   // These functions are also used if no intersections are found
+  // The parent of an output ring without one is the smallest output ring it lies within. To find it, we put the bounding boxes of all output rings in an rbush tree, and only test the rings whose bounding box contains the one of the ring, from small to large, until one is found that contains it. In geodesic mode, these are the bounding boxes in 3D of the regions the rings enclose.
   function determineParents() {
     var featuresWithoutParent = [];
     for (var i = 0; i < output.features.length; i++) {
-      if (debug) console.log("Output ring "+i+" has parent "+output.features[i].properties.parent);
       if (output.features[i].properties.parent == -1) featuresWithoutParent.push(i);
     }
-    if (debug) console.log("The following output ring(s) have no parent: "+featuresWithoutParent);
     if (featuresWithoutParent.length > 1) {
+      var outputRings = output.features.map(function(feature){ return feature.geometry.coordinates[0]; });
+      var areas = outputRings.map(function(ring){ return Math.abs(ringArea(ring, geodesic)); });
+      var ringRbushTree = ringTree(outputRings, geodesic);
       for (var i = 0; i < featuresWithoutParent.length; i++) {
+        var candidates = ringsContainingBbox(ringRbushTree, ringBbox(outputRings[featuresWithoutParent[i]], featuresWithoutParent[i], geodesic));
+        // Of rings with the same area, the last one is preferred
+        candidates.sort(function(a, b){ return (areas[a] != areas[b]) ? areas[a] - areas[b] : b - a; });
         var parent = -1;
-        var parentArea = Infinity;
-        for (var j = 0; j < output.features.length; j++) {
-          if (featuresWithoutParent[i] == j) continue
-          if (within(helpers.featureCollection([helpers.point(output.features[featuresWithoutParent[i]].geometry.coordinates[0][0])]),helpers.featureCollection([output.features[j]])).features.length == 1) {
-            if (area(output.features[j]) < parentArea) {
-              parent = j;
-              if (debug) console.log("Ring "+featuresWithoutParent[i]+" lies within output ring "+j);
-            }
+        for (var j = 0; j < candidates.length; j++) {
+          if (featuresWithoutParent[i] == candidates[j]) continue
+          var isWithin = ringWithinRing(outputRings[featuresWithoutParent[i]], outputRings[candidates[j]], geodesic);
+          if (isWithin === undefined) isWithin = (featuresWithoutParent[i] > candidates[j]); // Output rings lying on each other are nested in the order of their index
+          if (isWithin) {
+            parent = candidates[j];
+            break
           }
         }
         output.features[featuresWithoutParent[i]].properties.parent = parent;
-        if (debug) console.log("Ring "+featuresWithoutParent[i]+" is assigned parent "+parent);
+        if (trace) trace({type: 'parent', outputRing: featuresWithoutParent[i], parent: parent});
       }
     }
   }
 
+  // The net winding number of an output ring is the sum of its winding number and those of its ancestors, plus the net winding number outside of all output rings. We first gather the children of all output rings, and then go down from the rings without parent. In geodesic mode, the latter is added to the output as well.
   function setNetWinding() {
+    if (geodesic) output.netWindingOutside = windingOutside;
+    var children = output.features.map(function(){ return []; });
+    var stack = [];
     for (var i = 0; i < output.features.length; i++) {
-      if (output.features[i].properties.parent == -1) {
-        var netWinding = output.features[i].properties.winding
-        output.features[i].properties.netWinding = netWinding;
-        setNetWindingOfChildren(i,netWinding)
+      var parent = output.features[i].properties.parent;
+      if (parent == -1) {
+        output.features[i].properties.netWinding = windingOutside + output.features[i].properties.winding;
+        stack.push(i);
+      } else {
+        children[parent].push(i);
+      }
+    }
+    while (stack.length > 0) {
+      var parent = stack.pop();
+      for (var i = 0; i < children[parent].length; i++) {
+        var child = children[parent][i];
+        output.features[child].properties.netWinding = output.features[parent].properties.netWinding + output.features[child].properties.winding;
+        stack.push(child);
       }
     }
   }
 
-  function setNetWindingOfChildren(parent,ParentNetWinding){
+  if (fillRule) assembleOutput();
+
+  addInputProperties();
+  return output;
+
+  // Function to get the [feature index, polygon index] origins of the input rings walked over by a list of segments, each mentioned once
+  function originsOfSegments(segments) {
+    var origins = [];
+    for (var i = 0; i < segments.length; i++) {
+      addOrigin(origins, ringOrigins[segments[i].ringAndEdge[0]]);
+    }
+    return origins;
+  }
+
+  // Function to get the [ring, edge] in the input of an edge of a cleaned ring. This is the input edge ending at the input vertex the edge ends at, such that edges of length zero are skipped. The edge closing an input ring that was not closed gets the index after its last edge.
+  function inputEdge(ringAndEdge) {
+    var ring = ringIndices[ringAndEdge[0]];
+    var end = cleaning[ring].vertexIndices[ringAndEdge[1]+1];
+    if (end == 0) end = cleaning[ring].numVertices;
+    return [ring, end-1];
+  }
+
+  // Function to assemble the output rings into polygons by the fill rule. When repairing, the input rings that were left out are reported as the first zero-area rings.
+  function assembleOutput() {
+    output = assemblePolygons(output, fillRule, geodesic, repair);
+    if (repair) output.repairs.zeroAreaRings = collapsedRings.concat(output.repairs.zeroAreaRings);
+    timelog("Assembling polygons");
+  }
+
+  // Function to add the further coordinates (such as Z and M) of the input to the [x,y] of the output rings. These are interpolated along the input edges, using the fractional distances of the segments of the output rings.
+  // Where multiple input edges pass through the same point, they can disagree on these values. The z rule decides which of them is taken, or if they are averaged. The values of a vertex of an input ring are those of the vertex itself, and the values where an edge passes through are interpolated on it. The point then gets the same values in all output rings.
+  // When some input vertices have fewer values than others (e.g. a vertex without Z in a ring with Z), the values of an edge only go as far as those of both its ends, and only the candidates with the most values are passed to the z rule, such that the values that are available are kept.
+  function addExtraValues() {
+    var candidatesByCoord = {};
+    for (var i = 0; i < output.features.length; i++) {
+      var ring = output.features[i].geometry.coordinates[0];
+      var segments = output.features[i].properties.segments;
+      for (var j = 0; j < segments.length; j++) {
+        addCandidate(ring[j], segments[j].ringAndEdge, segments[j].params[0]);
+        addCandidate(ring[j+1], segments[j].ringAndEdge, segments[j].params[1]);
+      }
+    }
+    var valuesByCoord = {};
+    for (var key in candidatesByCoord) {
+      var candidates = candidatesByCoord[key];
+      candidates.sort(function(a, b){ return (a.ring != b.ring) ? a.ring - b.ring : a.position - b.position; });
+      valuesByCoord[key] = chooseValues(candidates.map(function(candidate){ return candidate.values; }), zRule);
+    }
     for (var i = 0; i < output.features.length; i++) {
-      if (output.features[i].properties.parent == parent){
-        var netWinding = ParentNetWinding + output.features[i].properties.winding
-        output.features[i].properties.netWinding = netWinding;
-        setNetWindingOfChildren(i,netWinding)
+      output.features[i].geometry.coordinates[0] = output.features[i].geometry.coordinates[0].map(function(coord){ return coord.concat(valuesByCoord[coord]); });
+    }
+
+    // Function to add the values at a fractional distance along an input edge as a candidate for a point. Each input vertex or edge is a candidate once. They are ordered by their position in the input ring: vertex j at 2*j, and the inside of edge j at 2*j+1.
+    function addCandidate(coord, ringAndEdge, param) {
+      var ring = ringAndEdge[0];
+      var ringValues = input.extraValues[ring];
+      var start = ringAndEdge[1];
+      var end = (start+1 < ringValues.length) ? start+1 : 0;
+      if (cleaning[ring].wasClosed && (end == ringValues.length-1)) end = 0; // The vertex closing the ring is the first vertex
+      if (param == 0) {
+        var position = 2*start;
+        var values = ringValues[start];
+      } else if (param == 1) {
+        var position = 2*end;
+        var values = ringValues[end];
+      } else {
+        var position = 2*start+1;
+        var values = interpolateValues(ringValues[start], ringValues[end], param);
+      }
+      if (!candidatesByCoord.hasOwnProperty(coord)) candidatesByCoord[coord] = [];
+      var candidates = candidatesByCoord[coord];
+      for (var i = 0; i < candidates.length; i++) {
+        if ((candidates[i].ring == ring) && (candidates[i].position == position)) return;
       }
+      candidates.push({ring: ring, position: position, values: values});
+    }
+  }
+
+  // Function to copy the 'properties' and 'id' of the input features to the output features. An output ring (or assembled polygon) made up of rings of multiple input features gets those of the first one.
+  function addInputProperties() {
+    var outputFeatures = (output.type == "FeatureCollection") ? output.features : [output];
+    for (var i = 0; i < outputFeatures.length; i++) {
+      var origins = (output.type == "FeatureCollection") ? outputFeatures[i].properties.origins : ringOrigins;
+      var inputFeature = input.features[Math.min.apply(null, origins.map(function(origin){ return origin[0]; }))];
+      if (inputFeature !== undefined) copyInputProperties(outputFeatures[i], inputFeature);
     }
   }
 
-  if (debug) console.log("# Total of "+output.features.length+" rings");
+  // Function to verify the output rings against the input (see verify), and throw an error describing the violations if any are found. The error has the full report as its 'report' property.
+  function verifyOutput() {
+    var report = module.exports.verify(feature, output, {tolerance: tolerance, geodesic: geodesic});
+    if (report.valid) return;
+    var violations = [];
+    for (var kind in report) {
+      if (Array.isArray(report[kind]) && (report[kind].length > 0)) violations.push(report[kind].length + " " + kind + " (first: " + JSON.stringify(report[kind][0]) + ")");
+    }
+    var error = new Error("The output violates the guarantees of the algorithm: " + violations.join(", "));
+    error.report = report;
+    throw error;
+  }
 
-  return output;
+  // Function to trace a walk from the current to the next intersection
+  function traceWalkStep(){
+    if (trace) trace({type: 'walkStep', outputRing: currentOutputRing, from: currentIsect, to: nxtIsect, fromCoord: isectList[currentIsect].coord, toCoord: isectList[nxtIsect].coord, ringAndEdge: walkingRingAndEdge});
+  }
 
-  // Function to log time passed since previous log
-  function timelog(msg){
-    // needs timestart and timing to be set
-    if (timing) {
-      console.log( (process.hrtime(timestart)[0] * 1000 + (process.hrtime(timestart)[1]/1000000)).toFixed(3) + " ms passed - " + msg); // print message + time
-      timestart = process.hrtime(); // reset the timer
+  // Function to trace the time passed since the previous step
+  function timelog(phase){
+    if (trace) {
+      var time = now();
+      trace({type: 'timing', phase: phase, ms: time - timestart});
+      timestart = time;
     }
   }
 
@@ -342,48 +675,1950 @@ module.exports = function(feature,timing) {
 
 
 
-// Constructor for (ring- or intersection-) pseudo-vertices.
-var PseudoVtx = function (coord, param, ringAndEdgeIn, ringAndEdgeOut, nxtIsectAlongEdgeIn) {
-  this.coord = coord; // [x,y] of this pseudo-vertex
-  this.param = param; // fractional distance of this intersection on incomming edge
-  this.ringAndEdgeIn = ringAndEdgeIn; // [ring index, edge index] of incomming edge
-  this.ringAndEdgeOut = ringAndEdgeOut; // [ring index, edge index] of outgoing edge
-  this.nxtIsectAlongEdgeIn = nxtIsectAlongEdgeIn; // The next intersection when following the incomming edge (so not when following ringAndEdgeOut!)
+/**
+* Takes a complex (i.e. self-intersecting) geojson polygon, and reports why it is not simple, without breaking it down.
+*
+* @param {Feature|FeatureCollection|Polygon|MultiPolygon} feature Input polygon(s), as for simplepolygon itself. All rings of all polygons are numbered in the order they appear in the input.
+* @param {Object} [options] Optional parameters
+* @param {number} [options.tolerance=0] Snap the coordinates to a grid with this cell size, and consider vertices closer than half of it to an edge to lie on it, as for simplepolygon itself.
+* @param {boolean} [options.geodesic=false] Interpret the coordinates as [longitude, latitude] in degrees on the sphere, as for simplepolygon itself.
+* @return {Object} Validity report with the following properties. Rings, edges and vertices are given as [ring index, edge index] and [ring index, vertex index] pairs, with the indices of the vertices in the input (edge j going from vertex j to j+1).
+* - 'valid': true if none of the issues below is found
+* - 'intersections': for each crossing of two edges its 'coord', the 'ringAndEdge1' and 'ringAndEdge2' of both edges and if they are of different rings ('interRing')
+* - 'verticesOnEdges': for each vertex lying on (the interior of) an edge its 'coord', 'ringAndVertex', 'ringAndEdge' and 'interRing'
+* - 'duplicateVertices': for each coordinate visited more than once its 'coord', the 'ringAndVertices' visiting it and 'interRing'
+* - 'unclosedRings': for each ring (that is not collapsed) of which the last vertex differs from the first its 'ring' and the missing closing edge 'coords'
+* - 'collapsedRings': for each ring with less than three distinct vertices (including empty rings) its 'ring'
+* - 'spikes': for each vertex where a ring turns back on itself its 'coord' and 'ringAndVertex'
+* - 'overlaps': for each two collinear edges overlapping along a part of them the 'coords' of this part, 'ringAndEdge1', 'ringAndEdge2' and 'interRing'
+* - 'origins': for each ring the [feature index, polygon index] it comes from
+* - 'features': a FeatureCollection with a Point (or for unclosed rings and overlaps, a LineString) feature for each of the above issues, for highlighting them. Their properties are those listed above, and the kind of 'issue'.
+*
+* @example
+* var poly = {
+*   "type": "Feature",
+*   "geometry": {
+*     "type": "Polygon",
+*     "coordinates": [[[0,0],[2,0],[0,2],[2,2],[0,0]]]
+*   }
+* };
+*
+* var report = simplepolygon.diagnose(poly);
+*
+* // =report.intersections
+* // [{coord: [1,1], ringAndEdge1: [0,1], ringAndEdge2: [0,3], interRing: false}]
+*/
+module.exports.diagnose = function(feature,options) {
+
+  // Options
+  options = options || {};
+  var tolerance = toleranceOption(options);
+  var geodesic = !!options.geodesic;
+
+  // Process the input as simplepolygon does, but remember how the rings looked before being closed and cleaned, such that we can report in terms of the input. Rings that are too small are not rejected but reported.
+  var input = readRings(feature);
+  var rings = input.rings;
+  if (rings.length == 0) throw new Error("The input must contain at least one polygon ring");
+  var inputLengths = rings.map(function(ring){ return ring.length; });
+  var cleaning = cleanRings(rings, tolerance, geodesic);
+  var edgeRbushTree = edgeTree(rings, geodesic);
+  var selfIsectsData = findSelfIsects(rings, edgeRbushTree, tolerance, geodesic);
+  var vtxOnEdgeData = findVtxsOnEdges(rings, edgeRbushTree, tolerance, geodesic);
+
+  var report = {valid: true, intersections: [], verticesOnEdges: [], duplicateVertices: [], unclosedRings: [], collapsedRings: [], spikes: [], overlaps: [], origins: input.origins, features: undefined};
+  var issueFeatures = [];
+
+  for (var i = 0; i < selfIsectsData.length; i++) {
+    addIssue(report, issueFeatures, "intersections", {type: "Point", coordinates: selfIsectsData[i][0]}, {coord: selfIsectsData[i][0], ringAndEdge1: inputEdge(selfIsectsData[i][1], selfIsectsData[i][2]), ringAndEdge2: inputEdge(selfIsectsData[i][6], selfIsectsData[i][7]), interRing: selfIsectsData[i][1] != selfIsectsData[i][6]});
+  }
+
+  for (var i = 0; i < vtxOnEdgeData.length; i++) {
+    var ringAndVertex = vtxOnEdgeData[i][4];
+    addIssue(report, issueFeatures, "verticesOnEdges", {type: "Point", coordinates: vtxOnEdgeData[i][0]}, {coord: vtxOnEdgeData[i][0], ringAndVertex: inputVertex(ringAndVertex[0], ringAndVertex[1]), ringAndEdge: inputEdge(vtxOnEdgeData[i][1], vtxOnEdgeData[i][2]), interRing: ringAndVertex[0] != vtxOnEdgeData[i][1]});
+  }
+
+  // Duplicate vertices are either repeated consecutive vertices, which were removed when cleaning the rings (each remaining vertex k stands for the input vertices from vertexIndices[k] up to vertexIndices[k+1]), or vertices visited again later on
+  var vertexIndicesByCoord = {};
+  var coordsWithVertexIndices = [];
+  for (var i = 0; i < rings.length; i++) {
+    var vertexIndices = cleaning[i].vertexIndices;
+    var numVertices = rings[i].length-1;
+    for (var k = 0; k < numVertices; k++) {
+      var end = (cleaning[i].wasClosed || (k < numVertices-1)) ? vertexIndices[k+1] : inputLengths[i];
+      for (var j = vertexIndices[k]; j < end; j++) addVertexIndex(rings[i][k], [i, j]);
+    }
+    // A closed input ring can also repeat its closing vertex
+    if (cleaning[i].wasClosed && (numVertices > 0)) {
+      for (var j = vertexIndices[numVertices]+1; j < inputLengths[i]; j++) addVertexIndex(rings[i][0], [i, j]);
+    }
+  }
+  for (var i = 0; i < coordsWithVertexIndices.length; i++) {
+    var ringAndVertices = vertexIndicesByCoord[coordsWithVertexIndices[i]];
+    if (ringAndVertices.length < 2) continue
+    addIssue(report, issueFeatures, "duplicateVertices", {type: "Point", coordinates: coordsWithVertexIndices[i]}, {coord: coordsWithVertexIndices[i], ringAndVertices: ringAndVertices, interRing: ringAndVertices.some(function(ringAndVertex){ return ringAndVertex[0] != ringAndVertices[0][0]; })});
+  }
+
+  for (var i = 0; i < rings.length; i++) {
+    var numVertices = rings[i].length-1;
+    // Rings with less than three distinct vertices (including empty rings) are only reported as collapsed: they have no closing edge worth reporting, nor spikes. An empty ring has no coordinate to put a feature on.
+    if (numVertices < 3) {
+      addIssue(report, issueFeatures, "collapsedRings", (numVertices > 0) ? {type: "Point", coordinates: rings[i][0]} : null, {ring: i});
+      continue
+    }
+    if (!cleaning[i].wasClosed) addIssue(report, issueFeatures, "unclosedRings", {type: "LineString", coordinates: [rings[i][numVertices-1], rings[i][0]]}, {ring: i, coords: [rings[i][numVertices-1], rings[i][0]]});
+    // At a spike, the next vertex lies on the previous edge, or the other way around
+    for (var k = 0; k < numVertices; k++) {
+      var prev = rings[i][(k-1).modulo(numVertices)];
+      var vertex = rings[i][k];
+      var next = rings[i][k+1];
+      if (equalArrays(prev, next) || (paramOnEdge(next, vertex, prev, tolerance, geodesic) !== undefined) || (paramOnEdge(prev, vertex, next, tolerance, geodesic) !== undefined)) {
+        addIssue(report, issueFeatures, "spikes", {type: "Point", coordinates: vertex}, {coord: vertex, ringAndVertex: inputVertex(i, k)});
+      }
+    }
+  }
+
+  var allEdgesAsRbushTreeItems = edgeRbushTree.all();
+  for (var i = 0; i < allEdgesAsRbushTreeItems.length; i++) {
+    var item0 = allEdgesAsRbushTreeItems[i];
+    var edgeRbushTreeItemsFound = edgeRbushTree.search(item0);
+    for (var j = 0; j < edgeRbushTreeItemsFound.length; j++) {
+      var item1 = edgeRbushTreeItemsFound[j];
+      if ((item0.ring > item1.ring) || ((item0.ring == item1.ring) && (item0.edge >= item1.edge)) || !bboxesOverlapInZ(item0, item1)) continue
+      var overlap = overlapOfEdges(rings[item0.ring][item0.edge], rings[item0.ring][item0.edge+1], rings[item1.ring][item1.edge], rings[item1.ring][item1.edge+1], tolerance, geodesic);
+      if (overlap === undefined) continue
+      addIssue(report, issueFeatures, "overlaps", {type: "LineString", coordinates: overlap}, {coords: overlap, ringAndEdge1: inputEdge(item0.ring, item0.edge), ringAndEdge2: inputEdge(item1.ring, item1.edge), interRing: item0.ring != item1.ring});
+    }
+  }
+
+  report.features = helpers.featureCollection(issueFeatures);
+  return report;
+
+  function addVertexIndex(coord, ringAndVertex) {
+    if (!vertexIndicesByCoord.hasOwnProperty(coord)) {
+      vertexIndicesByCoord[coord] = [];
+      coordsWithVertexIndices.push(coord);
+    }
+    vertexIndicesByCoord[coord].push(ringAndVertex);
+  }
+
+  // Functions to get the [ring, index] of a vertex or edge of a cleaned ring in the input ring
+  function inputVertex(ring, vertex) {
+    return [ring, cleaning[ring].vertexIndices[vertex]];
+  }
+  function inputEdge(ring, edge) {
+    return [ring, cleaning[ring].vertexIndices[edge]];
+  }
+
 }
 
-// Constructor for an intersection. There are two intersection-pseudo-vertices per self-intersection and one ring-pseudo-vertex per ring-vertex-intersection. Their labels 1 and 2 are not assigned a particular meaning but are permanent once given.
-var Isect = function (coord, ringAndEdge1, ringAndEdge2, nxtIsectAlongRingAndEdge1, nxtIsectAlongRingAndEdge2, ringAndEdge1Walkable, ringAndEdge2Walkable) {
-  this.coord = coord; // [x,y] of this intersection
-  this.ringAndEdge1 = ringAndEdge1; // first edge of this intersection
-  this.ringAndEdge2 = ringAndEdge2; // second edge of this intersection
-  this.nxtIsectAlongRingAndEdge1 = nxtIsectAlongRingAndEdge1; // the next intersection when following ringAndEdge1
-  this.nxtIsectAlongRingAndEdge2 = nxtIsectAlongRingAndEdge2; // the next intersection when following ringAndEdge2
-  this.ringAndEdge1Walkable = ringAndEdge1Walkable; // May we (still) walk away from this intersection over ringAndEdge1?
-  this.ringAndEdge2Walkable = ringAndEdge2Walkable; // May we (still) walk away from this intersection over ringAndEdge2?
+/**
+* Turns the events traced by simplepolygon (see its 'trace' option) into a geojson FeatureCollection, to inspect a decomposition in a map viewer.
+*
+* @param {Array<Object>} trace The traced events, in the order they were traced.
+* @return {FeatureCollection} Feature collection containing a Point feature for each intersection (with its 'index' in the list of intersections, its 'ringAndEdge1', 'ringAndEdge2' and if it is a 'ringVertex'), a LineString feature for each walk step (from the intersection it starts at to the one it arrives at, with the 'step' number, 'outputRing', 'from' and 'to' intersection and the 'ringAndEdge' walked over) and a Polygon feature for each walked output ring (with its 'outputRing', and its 'parent' and 'winding' as predicted while walking). The kind of each feature is given by its 'event' property.
+*
+* @example
+* var trace = [];
+* simplepolygon(poly, {trace: function(event){ trace.push(event); }});
+* var features = simplepolygon.traceToGeoJSON(trace);
+*/
+module.exports.traceToGeoJSON = function(trace) {
+  var features = [];
+  var step = 0;
+  for (var i = 0; i < trace.length; i++) {
+    var event = trace[i];
+    if (event.type == 'intersections') {
+      for (var j = 0; j < event.intersections.length; j++) {
+        var isect = event.intersections[j];
+        features.push(helpers.feature({type: "Point", coordinates: isect.coord}, {event: 'intersection', index: isect.index, ringAndEdge1: isect.ringAndEdge1, ringAndEdge2: isect.ringAndEdge2, ringVertex: isect.ringVertex}));
+      }
+    } else if (event.type == 'walkStep') {
+      features.push(helpers.feature({type: "LineString", coordinates: [event.fromCoord, event.toCoord]}, {event: 'walkStep', step: step++, outputRing: event.outputRing, from: event.from, to: event.to, ringAndEdge: event.ringAndEdge}));
+    } else if (event.type == 'ringClosed') {
+      features.push(helpers.feature({type: "Polygon", coordinates: [event.coordinates]}, {event: 'ringClosed', outputRing: event.outputRing, parent: event.parent, winding: event.winding}));
+    }
+  }
+  return helpers.featureCollection(features);
 }
 
-// Function to determine if three consecutive points of a simple, non-self-intersecting ring make up a convex vertex, assuming the ring is right- or lefthanded
-function isConvex(pts, righthanded){
-  // 'pts' is an [x,y] pair
-  // 'righthanded' is a boolean
-  if (typeof(righthanded) === 'undefined') righthanded = true;
-  if (pts.length != 3) throw new Error("This function requires an array of three points [x,y]");
-  var d = (pts[1][0] - pts[0][0]) * (pts[2][1] - pts[0][1]) - (pts[1][1] - pts[0][1]) * (pts[2][0] - pts[0][0]);
-  return (d >= 0) == righthanded;
+/**
+* Takes two or more geojson polygons and returns their union, computed in one walk over the rings of all of them.
+*
+* @param {Array<Feature|FeatureCollection|Polygon|MultiPolygon>} polygons The operands. Each of them can be a Polygon or MultiPolygon geometry, a Feature of either type, or a FeatureCollection of such Features. The operands should be valid polygons (although their rings may be oriented either way), since the regions are selected by how many operands they lie in.
+* @param {Object} [options] Optional parameters: the 'tolerance', 'geodesic', 'trace' and 'timing' options of simplepolygon itself.
+* @return {Feature} A Polygon or MultiPolygon Feature conform the Simple Features standard (with no polygons if the result is empty), covering the regions that lie in at least one of the operands.
+*
+* @example
+* var union = simplepolygon.union([poly1, poly2]);
+*/
+module.exports.union = function(polygons,options) {
+  return booleanOperation(polygons, options, 'union');
 }
 
-// Function to compute winding of simple, non-self-intersecting ring
-function windingOfRing(ring){
-  // 'ring' is an array of [x,y] pairs with the last equal to the first
-  // Compute the winding number based on the vertex with the smallest x-value, it precessor and successor. An extremal vertex of a simple, non-self-intersecting ring is always convex, so the only reason it is not is because the winding number we use to compute it is wrong
-  var leftVtx = 0;
-  for (var i = 0; i < ring.length-1; i++) { if (ring[i][0] < ring[leftVtx][0]) leftVtx = i; }
-  if (isConvex([ring[(leftVtx-1).modulo(ring.length-1)],ring[leftVtx],ring[(leftVtx+1).modulo(ring.length-1)]],true)) {
-    var winding = 1;
-  } else {
-    var winding = -1;
+/**
+* Takes two or more geojson polygons and returns their intersection, computed in one walk over the rings of all of them (see union).
+*
+* @param {Array<Feature|FeatureCollection|Polygon|MultiPolygon>} polygons The operands, as for union.
+* @param {Object} [options] Optional parameters, as for union.
+* @return {Feature} A Polygon or MultiPolygon Feature covering the regions that lie in all of the operands.
+*
+* @example
+* var intersection = simplepolygon.intersection([poly1, poly2]);
+*/
+module.exports.intersection = function(polygons,options) {
+  return booleanOperation(polygons, options, 'intersection');
+}
+
+/**
+* Takes two or more geojson polygons and returns the first minus all others, computed in one walk over the rings of all of them (see union).
+*
+* @param {Array<Feature|FeatureCollection|Polygon|MultiPolygon>} polygons The operands, as for union.
+* @param {Object} [options] Optional parameters, as for union.
+* @return {Feature} A Polygon or MultiPolygon Feature covering the regions that lie in the first operand but not in any of the others.
+*
+* @example
+* var difference = simplepolygon.difference([poly1, poly2]);
+*/
+module.exports.difference = function(polygons,options) {
+  return booleanOperation(polygons, options, 'difference');
+}
+
+/**
+* Takes two or more geojson polygons and returns their symmetric difference, computed in one walk over the rings of all of them (see union).
+*
+* @param {Array<Feature|FeatureCollection|Polygon|MultiPolygon>} polygons The operands, as for union.
+* @param {Object} [options] Optional parameters, as for union.
+* @return {Feature} A Polygon or MultiPolygon Feature covering the regions that lie in an odd number of the operands.
+*
+* @example
+* var xor = simplepolygon.xor([poly1, poly2]);
+*/
+module.exports.xor = function(polygons,options) {
+  return booleanOperation(polygons, options, 'xor');
+}
+
+/**
+* Turns the output of simplepolygon with the 'topology' option into a TopoJSON topology, in which the output rings share the arcs along which they touch.
+*
+* @param {FeatureCollection} output The output of simplepolygon, with its 'topology' property.
+* @return {Object} TopoJSON Topology with a GeometryCollection 'polygons' containing a Polygon for each output ring, with its 'properties' and 'id'. The arcs are the chains of edges between self-intersection nodes: each edge lies on one arc, which is shared with its twin edge (in the opposite direction). The coordinates are not quantized.
+*
+* @example
+* var output = simplepolygon(poly, {topology: true});
+* var topology = simplepolygon.toTopoJSON(output);
+*/
+module.exports.toTopoJSON = function(output) {
+  if ((output === undefined) || (output == null) || (output.topology === undefined)) throw new Error("The input must be the output of simplepolygon with the topology option set");
+  var nodes = output.topology.nodes;
+  var edges = output.topology.edges;
+  var faces = output.topology.faces;
+  // Chain the edges into arcs from one self-intersection node to the next. Only one edge leaves a ring vertex node, so such a chain follows one output ring. Edges with a twin start and end at self-intersection nodes, so the arc of the first of both is this edge alone, and the other uses it in the opposite direction.
+  // For the first edge of each arc, 'arcRefOfEdge' holds the index of the arc (or its ones' complement for the reversed arc of a twin), and for the other edges of the arc null.
+  var arcs = [];
+  var arcRefOfEdge = [];
+  for (var i = 0; i < edges.length; i++) {
+    if (nodes[edges[i].from].type != 'selfIntersection') continue
+    if ((edges[i].twin != -1) && (arcRefOfEdge[edges[i].twin] !== undefined)) {
+      arcRefOfEdge[i] = ~arcRefOfEdge[edges[i].twin];
+      continue
+    }
+    addArc(i);
   }
-  return winding
+  // Output rings without self-intersection nodes make up one closed arc
+  for (var i = 0; i < edges.length; i++) {
+    if (arcRefOfEdge[i] === undefined) addArc(i);
+  }
+  var geometries = [];
+  for (var i = 0; i < faces.length; i++) {
+    var ringArcs = [];
+    for (var j = 0; j < faces[i].edges.length; j++) {
+      if (arcRefOfEdge[faces[i].edges[j]] !== null) ringArcs.push(arcRefOfEdge[faces[i].edges[j]]);
+    }
+    var geometry = {type: "Polygon", arcs: [ringArcs], properties: output.features[i].properties};
+    if (output.features[i].id !== undefined) geometry.id = output.features[i].id;
+    geometries.push(geometry);
+  }
+  return {type: "Topology", objects: {polygons: {type: "GeometryCollection", geometries: geometries}}, arcs: arcs};
+
+  // Function to add the arc starting with an edge, following the next edges until a self-intersection node, or for a closed arc the first edge, is reached
+  function addArc(edge) {
+    var coords = [nodes[edges[edge].from].coord];
+    arcRefOfEdge[edge] = arcs.length;
+    while (true) {
+      var node = edges[edge].to;
+      coords.push(nodes[node].coord);
+      if (nodes[node].type == 'selfIntersection') break
+      for (var i = 0; i < nodes[node].edges.length; i++) {
+        if (edges[nodes[node].edges[i]].from == node) edge = nodes[node].edges[i];
+      }
+      if (arcRefOfEdge[edge] !== undefined) break
+      arcRefOfEdge[edge] = null;
+    }
+    arcs.push(coords);
+  }
+}
+
+/**
+* Takes a complex (i.e. self-intersecting) geojson polygon and breaks it down once, to answer queries of the winding number at points. The output rings are put in a spatial index, and the winding number at a point is the net winding number of the deepest output ring it lies in.
+*
+* @param {Feature|FeatureCollection|Polygon|MultiPolygon} feature Input polygon(s), as for simplepolygon itself.
+* @param {Object} [options] Optional parameters: the 'tolerance', 'geodesic', 'zRule', 'trace' and 'timing' options of simplepolygon itself.
+* @return {Object} Prepared polygon with the following properties:
+* - 'output': the output of simplepolygon (the FeatureCollection of simple polygons)
+* - 'windingAt(point)': function returning the winding number of the polygon at a point (an [x,y] position, or a Point geometry or Feature). On an edge, this is only defined if the regions on both sides have the same winding number, and undefined otherwise.
+* - 'containsAt(point, fillRule)': function returning true if a point lies in the polygon filled by a fill rule (as for simplepolygon itself, 'nonzero' by default). Points on an edge of a filled region are contained.
+*
+* @example
+* var prepared = simplepolygon.prepare(poly);
+* var winding = prepared.windingAt([0.5, 0.2]);
+* var contained = prepared.containsAt([0.5, 0.2], 'evenodd');
+*/
+module.exports.prepare = function(feature,options) {
+  if (typeof(options) === 'boolean') options = {timing: options};
+  options = options || {};
+  var geodesic = !!options.geodesic;
+  var decomposeOptions = {};
+  for (var key in options) {
+    if ((key != 'fillRule') && (key != 'topology') && (key != 'repair')) decomposeOptions[key] = options[key];
+  }
+  var output = module.exports(feature, decomposeOptions);
+  var features = output.features;
+
+  // The output rings (without further coordinates), their depth in the tree of parents, and their bounding boxes in an rbush tree
+  var rings = features.map(function(feature){ return feature.geometry.coordinates[0].map(function(coord){ return [coord[0], coord[1]]; }); });
+  var depths = [];
+  for (var i = 0; i < features.length; i++) depthOf(i);
+  var ringRbushTree = ringTree(rings, geodesic);
+
+  return {output: output, windingAt: windingAt, containsAt: containsAt};
+
+  function windingAt(point) {
+    var windings = windingsAround(point);
+    return (windings.length == 1) ? windings[0] : undefined;
+  }
+
+  function containsAt(point, fillRule) {
+    if (fillRule === undefined) fillRule = 'nonzero';
+    if ((typeof(fillRule) !== 'function') && !fillRules.hasOwnProperty(fillRule)) throw new Error("The fill rule must be a function or one of: "+Object.keys(fillRules).join(", "));
+    if (typeof(fillRule) !== 'function') fillRule = fillRules[fillRule];
+    var windings = windingsAround(point);
+    for (var i = 0; i < windings.length; i++) {
+      if (fillRule(windings[i])) return true;
+    }
+    return false;
+  }
+
+  // Function to get the winding numbers of the regions at a point. Inside a region, this is the net winding number of the deepest output ring the point lies in (or the one outside of all rings, which is 0 in the plane). If the point lies on output rings, the regions on both sides of them are added.
+  function windingsAround(point) {
+    var pt = (point && (point.type == "Feature")) ? point.geometry.coordinates : (point && (point.type == "Point")) ? point.coordinates : point;
+    if (!Array.isArray(pt) || (typeof(pt[0]) !== 'number') || (typeof(pt[1]) !== 'number')) throw new Error("The point must be an [x,y] position or a geojson Point");
+    pt = geodesic ? normalizeLonLat(pt) : [pt[0], pt[1]];
+    var candidates = ringsContainingBbox(ringRbushTree, pointBbox(pt, 0, geodesic));
+    var deepest = -1;
+    var onRings = [];
+    for (var i = 0; i < candidates.length; i++) {
+      var position = pointInRing(pt, rings[candidates[i]], geodesic);
+      if ((position == 1) && ((deepest == -1) || (depths[candidates[i]] > depths[deepest]))) deepest = candidates[i];
+      if (position == 0) onRings.push(candidates[i]);
+    }
+    var windings = [netWindingOf(deepest)];
+    for (var i = 0; i < onRings.length; i++) {
+      addWinding(netWindingOf(onRings[i]));
+      addWinding(netWindingOf(features[onRings[i]].properties.parent));
+    }
+    return windings;
+
+    function addWinding(winding) {
+      if (windings.indexOf(winding) == -1) windings.push(winding);
+    }
+  }
+
+  function netWindingOf(ring) {
+    return (ring == -1) ? (output.netWindingOutside || 0) : features[ring].properties.netWinding;
+  }
+
+  function depthOf(ring) {
+    if (depths[ring] === undefined) {
+      var parent = features[ring].properties.parent;
+      depths[ring] = (parent == -1) ? 0 : depthOf(parent) + 1;
+    }
+    return depths[ring];
+  }
+}
+
+/**
+* Checks the output of simplepolygon against the input it was computed from, to find errors in the decomposition. This verifies the guarantees the algorithm should give: the output rings are simple, their segments cover every edge of the input exactly once, their areas weighted by the net winding number add up to the signed area of the input, and their parents are the rings they actually lie in.
+*
+* @param {Feature|FeatureCollection|Polygon|MultiPolygon} input Input polygon(s), as passed to simplepolygon.
+* @param {FeatureCollection} output The output of simplepolygon for this input, without a fill rule (i.e. the simple polygons, with their 'parent', 'netWinding' and 'segments', and in geodesic mode its 'netWindingOutside').
+* @param {Object} [options] Optional parameters: the 'tolerance' and 'geodesic' options the output was computed with.
+* @return {Object} Report with the following properties. Output rings are given by their index in the output, input rings and edges as in the 'segments' of the output.
+* - 'valid': true if none of the violations below is found
+* - 'nonSimpleRings': for each two edges of an output ring that cross, touch or overlap (other than consecutive edges at their shared vertex) the 'ring' and both 'edges'. Rings with only two vertices, which the walk yields at cuts and spikes, are not checked.
+* - 'edgeCoverage': for each input edge that is not covered exactly once by the segments of the output rings, its 'ringAndEdge' and the 'params' of the segments lying on it, sorted
+* - 'misplacedSegments': for each segment of an output ring of which the vertices do not lie at its params on its input edge, the 'ring', the index of the 'segment' and its 'ringAndEdge' and 'params'
+* - 'areaMismatches': if the areas of the output rings, weighted by the difference between their net winding number and the one of their parent (or the 'netWindingOutside' of the output, for rings without parent), do not add up to the signed area of the input rings, the 'inputArea' and 'outputArea'
+* - 'parents': for each output ring whose parent is not the smallest output ring it lies in, its 'ring', its 'parent' and the 'expectedParent'
+* - 'features': a FeatureCollection with a feature for each of the above violations (the edges, or the rings), for highlighting them. Their properties are those listed above, and the kind of 'issue'.
+*
+* @example
+* var output = simplepolygon(poly);
+* var report = simplepolygon.verify(poly, output);
+*
+* // =report.valid
+* // true
+*/
+module.exports.verify = function(input,output,options) {
+
+  // Options
+  options = options || {};
+  var tolerance = toleranceOption(options);
+  var geodesic = !!options.geodesic;
+  if (!output || (output.type != "FeatureCollection")) throw new Error("The output must be the FeatureCollection of simple polygons returned without a fill rule");
+
+  // Process the input as simplepolygon does. The output rings are compared by their [x,y] only.
+  var inputData = readRings(input);
+  var inputRings = inputData.rings;
+  var cleaning = cleanRings(inputRings, tolerance, geodesic);
+  var features = output.features;
+  var windingOutside = output.netWindingOutside || 0;
+  var rings = features.map(function(feature){ return feature.geometry.coordinates[0].map(function(coord){ return [coord[0], coord[1]]; }); });
+
+  var report = {valid: true, nonSimpleRings: [], edgeCoverage: [], misplacedSegments: [], areaMismatches: [], parents: [], features: undefined};
+  var issueFeatures = [];
+
+  // Ring simplicity: two edges of the same ring may only share the vertex between consecutive edges. Edges with overlapping bounding boxes are compared.
+  var isCollapsed = rings.map(function(ring){ return getUnique(ring).length < 3; });
+  var edgeRbushTree = edgeTree(rings, geodesic);
+  var allEdgesAsRbushTreeItems = edgeRbushTree.all();
+  for (var i = 0; i < allEdgesAsRbushTreeItems.length; i++) {
+    var item0 = allEdgesAsRbushTreeItems[i];
+    var ring = rings[item0.ring];
+    var numEdges = ring.length-1;
+    if (isCollapsed[item0.ring]) continue
+    var edgeRbushTreeItemsFound = edgeRbushTree.search(item0);
+    for (var j = 0; j < edgeRbushTreeItemsFound.length; j++) {
+      var item1 = edgeRbushTreeItemsFound[j];
+      if ((item1.ring != item0.ring) || (item0.edge >= item1.edge) || !bboxesOverlapInZ(item0, item1)) continue
+      var start0 = ring[item0.edge];
+      var end0 = ring[item0.edge+1];
+      var start1 = ring[item1.edge];
+      var end1 = ring[item1.edge+1];
+      var isSimple;
+      if (item1.edge == item0.edge+1) {
+        isSimple = (paramOnEdge(start0, start1, end1, 0, geodesic) === undefined) && (paramOnEdge(end1, start0, end0, 0, geodesic) === undefined);
+      } else if ((item0.edge == 0) && (item1.edge == numEdges-1)) {
+        isSimple = (paramOnEdge(end0, start1, end1, 0, geodesic) === undefined) && (paramOnEdge(start1, start0, end0, 0, geodesic) === undefined);
+      } else {
+        isSimple = !properlyCross(start0, end0, start1, end1, geodesic) && !equalArrays(start0, start1) && !equalArrays(start0, end1) && !equalArrays(end0, start1) && !equalArrays(end0, end1) &&
+          [[start0, start1, end1], [end0, start1, end1], [start1, start0, end0], [end1, start0, end0]].every(function(ptAndEdge){ return paramOnEdge(ptAndEdge[0], ptAndEdge[1], ptAndEdge[2], 0, geodesic) === undefined; });
+      }
+      if (!isSimple) addIssue(report, issueFeatures, "nonSimpleRings", {type: "MultiLineString", coordinates: [[start0, end0], [start1, end1]]}, {ring: item0.ring, edges: [item0.edge, item1.edge]});
+    }
+  }
+
+  // Edge coverage: the segments lying on an input edge must follow each other from its start (param 0) to its end (param 1), and their vertices must lie at these params on the edge. The input edges are those of the cleaned rings, numbered as in the input: edges of length zero are not covered.
+  var paramsByRingAndEdge = {};
+  var coveredRingAndEdges = [];
+  for (var i = 0; i < inputRings.length; i++) {
+    if (inputRings[i].length < 4) continue // Rings with less than three distinct vertices are left out by repair (and rejected otherwise)
+    for (var j = 0; j < inputRings[i].length-1; j++) addParams(inputEdge(i, j), [inputRings[i][j], inputRings[i][j+1]]);
+  }
+  for (var i = 0; i < features.length; i++) {
+    var segments = features[i].properties.segments || [];
+    for (var j = 0; j < segments.length; j++) {
+      addParams(segments[j].ringAndEdge, undefined, segments[j].params);
+      var edgeCoords = paramsByRingAndEdge[segments[j].ringAndEdge].coords;
+      if ((edgeCoords !== undefined) && (segments[j].params.length == 2) && liesAtParam(rings[i][j], edgeCoords, segments[j].params[0]) && liesAtParam(rings[i][j+1], edgeCoords, segments[j].params[1])) continue
+      addIssue(report, issueFeatures, "misplacedSegments", {type: "LineString", coordinates: [rings[i][j], rings[i][j+1]]}, {ring: i, segment: j, ringAndEdge: segments[j].ringAndEdge, params: segments[j].params});
+    }
+  }
+  for (var i = 0; i < coveredRingAndEdges.length; i++) {
+    var ringAndEdge = coveredRingAndEdges[i];
+    var params = paramsByRingAndEdge[ringAndEdge].params.sort(function(a, b){ return (a[0] - b[0]) || (a[1] - b[1]); });
+    var edgeCoords = paramsByRingAndEdge[ringAndEdge].coords;
+    var isCovered = (edgeCoords !== undefined) && (params.length > 0) && (params[0][0] == 0) && (params[params.length-1][1] == 1);
+    for (var j = 0; j < params.length; j++) {
+      if (!(params[j][0] < params[j][1]) || ((j > 0) && (params[j][0] != params[j-1][1]))) isCovered = false;
+    }
+    if (isCovered) continue
+    addIssue(report, issueFeatures, "edgeCoverage", edgeCoords ? {type: "LineString", coordinates: edgeCoords} : null, {ringAndEdge: ringAndEdge, params: params});
+  }
+
+  // Area: the net winding number of a region is the one outside of all output rings plus the changes in net winding number over the output rings it lies in, so weighting the area of each output ring by this change (and the area of the whole sphere by the former) gives the integral of the winding number, as does the signed area of the input rings. Intersections are computed in floating point and snapped to a grid (the tolerance, or in geodesic mode a fine grid), so some difference is allowed. On the sphere, the signed area of each ring is the one of its smallest side, and the input orientation decides the net winding number outside of all rings as in simplepolygon.
+  var inputArea = geodesic ? 4 * Math.PI * netWindingOutside(inputRings, inputData.origins) : 0;
+  var outputArea = 4 * Math.PI * windingOutside;
+  var absoluteArea = 0;
+  var perimeter = 0;
+  for (var i = 0; i < inputRings.length; i++) {
+    inputArea += ringArea(inputRings[i], geodesic);
+    absoluteArea += Math.abs(ringArea(inputRings[i], geodesic));
+    for (var j = 0; j < inputRings[i].length-1; j++) perimeter += edgeLength(inputRings[i][j], inputRings[i][j+1]);
+  }
+  for (var i = 0; i < features.length; i++) {
+    var parent = features[i].properties.parent;
+    var change = features[i].properties.netWinding - ((parent == -1) ? windingOutside : features[parent].properties.netWinding);
+    outputArea += change * Math.abs(ringArea(rings[i], geodesic));
+    absoluteArea += Math.abs(change * ringArea(rings[i], geodesic));
+  }
+  var difference = Math.abs(outputArea - inputArea);
+  var isectGrid = tolerance || (geodesic ? geodesicIsectGrid : 0);
+  if (!(difference <= 1e-9 * absoluteArea + isectGrid * (geodesic ? Math.PI / 180 : 1) * perimeter)) addIssue(report, issueFeatures, "areaMismatches", null, {inputArea: inputArea, outputArea: outputArea});
+
+  // Parents: the parent of an output ring must be the smallest output ring it lies within (or -1 if there is none). The candidates are therefore tested from small to large. Rings that touch another ring all along (such as rings of zero area on its edges) may lie on either side of it, and are not compared with it.
+  var areas = rings.map(function(ring){ return Math.abs(ringArea(ring, geodesic)); });
+  var ringRbushTree = ringTree(rings, geodesic);
+  for (var i = 0; i < rings.length; i++) {
+    var parent = features[i].properties.parent;
+    var expectedParent = -1;
+    var candidates = ringsContainingBbox(ringRbushTree, ringBbox(rings[i], i, geodesic));
+    candidates.sort(function(a, b){ return areas[a] - areas[b]; });
+    for (var j = 0; j < candidates.length; j++) {
+      if ((candidates[j] == i) || (ringWithinRing(rings[i], rings[candidates[j]], geodesic) !== true)) continue
+      expectedParent = candidates[j];
+      break;
+    }
+    if (parent == expectedParent) continue
+    // The parent may also be a ring with the same area as the expected parent, or one along which the ring lies
+    if ((parent != -1) && (expectedParent != -1) && (areas[parent] == areas[expectedParent]) && (ringWithinRing(rings[i], rings[parent], geodesic) === true)) continue
+    if ((parent != -1) && (ringWithinRing(rings[i], rings[parent], geodesic) === undefined) && ((expectedParent == -1) || (ringWithinRing(rings[parent], rings[expectedParent], geodesic) !== false))) continue
+    addIssue(report, issueFeatures, "parents", {type: "Polygon", coordinates: [rings[i]]}, {ring: i, parent: parent, expectedParent: expectedParent});
+  }
+
+  report.features = helpers.featureCollection(issueFeatures);
+  return report;
+
+  // Function to add the coordinates of an input edge (as an edge of the cleaned input rings), or the params of a segment lying on it
+  function addParams(ringAndEdge, coords, params) {
+    if (!paramsByRingAndEdge.hasOwnProperty(ringAndEdge)) {
+      paramsByRingAndEdge[ringAndEdge] = {coords: undefined, params: []};
+      coveredRingAndEdges.push(ringAndEdge);
+    }
+    if (coords !== undefined) paramsByRingAndEdge[ringAndEdge].coords = coords;
+    if (params !== undefined) paramsByRingAndEdge[ringAndEdge].params.push(params);
+  }
+
+  // Function to get the [ring, edge] in the input of an edge of a cleaned ring, as simplepolygon does for the segments
+  function inputEdge(ring, edge) {
+    var end = cleaning[ring].vertexIndices[edge+1];
+    if (end == 0) end = cleaning[ring].numVertices;
+    return [ring, end-1];
+  }
+
+  // Function to determine if a point lies at a fractional distance along an edge, up to a rounding error (or the tolerance). In geodesic mode, the point is interpolated along the great-circle arc.
+  function liesAtParam(pt, edgeCoords, param) {
+    if (geodesic) {
+      var s = toVector(edgeCoords[0]);
+      var e = toVector(edgeCoords[1]);
+      var edgeAngle = angle(s, e);
+      var f0 = Math.sin((1 - param) * edgeAngle) / Math.sin(edgeAngle);
+      var f1 = Math.sin(param * edgeAngle) / Math.sin(edgeAngle);
+      var expected = [f0 * s[0] + f1 * e[0], f0 * s[1] + f1 * e[1], f0 * s[2] + f1 * e[2]];
+      return angle(toVector(pt), expected) <= 1e-9 + tolerance * Math.PI / 180;
+    }
+    var x = edgeCoords[0][0] + param * (edgeCoords[1][0] - edgeCoords[0][0]);
+    var y = edgeCoords[0][1] + param * (edgeCoords[1][1] - edgeCoords[0][1]);
+    var scale = 1 + Math.abs(edgeCoords[0][0]) + Math.abs(edgeCoords[0][1]) + Math.abs(edgeCoords[1][0]) + Math.abs(edgeCoords[1][1]);
+    return Math.max(Math.abs(pt[0] - x), Math.abs(pt[1] - y)) <= 1e-9 * scale + tolerance;
+  }
+
+  function edgeLength(start, end) {
+    if (geodesic) return angle(toVector(start), toVector(end));
+    return Math.sqrt((end[0] - start[0]) * (end[0] - start[0]) + (end[1] - start[1]) * (end[1] - start[1]));
+  }
+
+}
+
+/**
+* Takes self-intersecting geojson lines, and splits them at every point where they cross or touch themselves or each other (i.e. nodes them).
+*
+* @param {Feature|FeatureCollection|LineString|MultiLineString} feature Input line(s): a LineString or MultiLineString geometry, a Feature of either type, or a FeatureCollection of such Features. All lines are split together, such that crossings between lines are found as well.
+* @param {Object} [options] Optional parameters
+* @param {number} [options.tolerance=0] Snap the coordinates to a grid with this cell size, and consider vertices closer than half of it to an edge to lie on it, as for simplepolygon itself.
+* @param {boolean} [options.geodesic=false] Interpret the coordinates as [longitude, latitude] in degrees on the sphere, as for simplepolygon itself.
+* @param {boolean} [options.faces=false] Also find the closed faces enclosed by the lines, where they form loops. These are added to the output as its 'faces' property: a FeatureCollection of valid Polygon features (outer rings counter-clockwise, inner rings clockwise), with the indices of the 'lines' that bound them. Their coordinates are [x,y] pairs. Parts of lines that do not bound a face (such as dangling ends) are left out. In geodesic mode, a face is the smallest side of its outer ring.
+* @param {string} [options.zRule='average'] Where the input vertices and edges passing through a split point disagree on its further coordinates (such as Z and M), choose those of the 'first' or 'last' of them in the input, or their 'average', as for simplepolygon itself.
+* @param {boolean} [options.multiLineString=false] Return one MultiLineString Feature containing all split lines, instead of a FeatureCollection. It keeps the 'properties' and 'id' of the first input feature.
+* @return {FeatureCollection|Feature} Feature collection containing a LineString feature for each part of an input line between two consecutive points where it is split (or its ends). Its properties are the index of the input 'line' it is part of (with the lines numbered in the order they appear in the input), the [feature index, line index] 'origin' of this line in the input, and the index of the 'segment' along this line. The 'properties' and 'id' of the input feature are kept. Where lines overlap, each of them has its own segments along the overlap. Further coordinates (such as Z and M) are kept where the input vertices have them, and interpolated along the input line for the points where it is split, as far as both ends of the edge have them. A split point gets the same values in all segments meeting there, chosen by the z rule.
+*
+* @example
+* var line = {
+*   "type": "Feature",
+*   "geometry": {
+*     "type": "LineString",
+*     "coordinates": [[0,0],[2,2],[2,0],[0,2]]
+*   }
+* };
+*
+* var result = simplepolygon.splitLines(line, {faces: true});
+*
+* // =result
+* // which will be a featureCollection of three linestrings, with coordinates [[0,0],[1,1]], [[1,1],[2,2],[2,0],[1,1]] and [[1,1],[0,2]], and with a 'faces' featureCollection containing one polygon with coordinates [[[2,2],[1,1],[2,0],[2,2]]]
+*/
+module.exports.splitLines = function(feature,options) {
+
+  // Options
+  options = options || {};
+  var tolerance = toleranceOption(options);
+  var geodesic = !!options.geodesic;
+  var zRule = options.zRule || 'average';
+  if (!zRules.hasOwnProperty(zRule)) throw new Error("The z rule must be one of: "+Object.keys(zRules).join(", "));
+
+  // Process the input like the rings of simplepolygon, except that the lines are not closed. Repeated consecutive vertices are removed, together with their further coordinates, which are kept where the input vertices have them.
+  var input = readRings(feature, "LineString");
+  var lines = input.rings;
+  if (lines.length == 0) throw new Error("The input must contain at least one line");
+  for (var i = 0; i < lines.length; i++) {
+    if (tolerance) lines[i] = lines[i].map(function(coord){ return snapCoord(coord, tolerance); });
+    if (geodesic) lines[i] = lines[i].map(normalizeLonLat);
+    for (var j = lines[i].length-1; j > 0; j--) {
+      if (equalArrays(lines[i][j], lines[i][j-1])) {
+        lines[i].splice(j,1);
+        input.extraValues[i].splice(j,1);
+      }
+    }
+    if (lines[i].length < 2) throw new Error("The input lines must have at least two distinct vertices");
+  }
+
+  // The lines are split where edges cross, where vertices lie on edges, and at vertices that are visited more than once. Lines are also split at their ends, such that a line ending on another line splits it, and closed lines start and end at a split point.
+  // The points where an edge is split are stored for each line and edge, with their fractional distance on the edge. The split points are stored by their coordinates.
+  var edgeRbushTree = edgeTree(lines, geodesic);
+  var selfIsectsData = findSelfIsects(lines, edgeRbushTree, tolerance, geodesic);
+  var vtxOnEdgeData = findVtxsOnEdges(lines, edgeRbushTree, tolerance, geodesic, true);
+  var splitPointsByLineAndEdge = lines.map(function(line){ return line.slice(1).map(function(){ return []; }); });
+  var isSplitPoint = {};
+  for (var i = 0; i < selfIsectsData.length; i++) {
+    addSplitPoint(selfIsectsData[i][0], selfIsectsData[i][1], selfIsectsData[i][2], selfIsectsData[i][5]);
+    addSplitPoint(selfIsectsData[i][0], selfIsectsData[i][6], selfIsectsData[i][7], selfIsectsData[i][10]);
+  }
+  for (var i = 0; i < vtxOnEdgeData.length; i++) {
+    addSplitPoint(vtxOnEdgeData[i][0], vtxOnEdgeData[i][1], vtxOnEdgeData[i][2], vtxOnEdgeData[i][3]);
+  }
+  var isVisited = {};
+  for (var i = 0; i < lines.length; i++) {
+    isSplitPoint[lines[i][0]] = true;
+    isSplitPoint[lines[i][lines[i].length-1]] = true;
+    for (var j = 0; j < lines[i].length; j++) {
+      if (isVisited[lines[i][j]]) isSplitPoint[lines[i][j]] = true;
+      isVisited[lines[i][j]] = true;
+    }
+  }
+
+  // Walk along each line, over its vertices and the split points on its edges. The lines passing through a point can disagree on its further coordinates: each vertex and each edge passing through it is a candidate (in the order they appear in the input), and the z rule chooses among them once for each point, such that all segments meeting at a split point have the same values there.
+  var walkedCoordsArray = [];
+  var candidatesByCoord = {};
+  for (var i = 0; i < lines.length; i++) {
+    var walkedCoords = [];
+    for (var j = 0; j < lines[i].length; j++) {
+      addCandidate(lines[i][j], input.extraValues[i][j]);
+      if (j == lines[i].length-1) break;
+      var splitPoints = splitPointsByLineAndEdge[i][j].sort(function(a, b){ return a.param - b.param; });
+      for (var k = 0; k < splitPoints.length; k++) {
+        if (equalArrays(splitPoints[k].coord, lines[i][j]) || equalArrays(splitPoints[k].coord, lines[i][j+1]) || ((k > 0) && equalArrays(splitPoints[k].coord, splitPoints[k-1].coord))) continue
+        addCandidate(splitPoints[k].coord, interpolateValues(input.extraValues[i][j], input.extraValues[i][j+1], splitPoints[k].param));
+      }
+    }
+    walkedCoordsArray.push(walkedCoords);
+  }
+  var valuesByCoord = {};
+  for (var key in candidatesByCoord) valuesByCoord[key] = chooseValues(candidatesByCoord[key], zRule);
+
+  // Walk along each line again, and start a new segment at each split point
+  var outputFeatureArray = [];
+  var segmentCoordsArray = [];
+  for (var i = 0; i < lines.length; i++) {
+    var segmentCoords = [];
+    var numSegments = 0;
+    for (var j = 0; j < walkedCoordsArray[i].length; j++) addCoord(walkedCoordsArray[i][j]);
+  }
+
+  // Trace the faces enclosed by the segments, if requested. This is done on their [x,y] only, such that segments meeting at a point meet at the same vertex.
+  if (options.faces) {
+    var faceFeatureArray = polygonizeLines(segmentCoordsArray, outputFeatureArray.map(function(feature){ return feature.properties.line; }), geodesic).map(function(face){
+      return helpers.polygon(face.rings, {lines: face.lines});
+    });
+  }
+
+  if (options.multiLineString) {
+    var output = helpers.feature({type: "MultiLineString", coordinates: outputFeatureArray.map(function(feature){ return feature.geometry.coordinates; })});
+    // Copy the 'properties' and 'id' of the first input feature
+    if (input.features[input.origins[0][0]] !== undefined) copyInputProperties(output, input.features[input.origins[0][0]]);
+  } else {
+    var output = helpers.featureCollection(outputFeatureArray);
+    // Copy the 'properties' and 'id' of the input features
+    for (var i = 0; i < outputFeatureArray.length; i++) {
+      var inputFeature = input.features[outputFeatureArray[i].properties.origin[0]];
+      if (inputFeature !== undefined) copyInputProperties(outputFeatureArray[i], inputFeature);
+    }
+  }
+  if (options.faces) output.faces = helpers.featureCollection(faceFeatureArray);
+  return output;
+
+  function addSplitPoint(coord, line, edge, param) {
+    splitPointsByLineAndEdge[line][edge].push({coord: coord, param: param});
+    isSplitPoint[coord] = true;
+  }
+
+  // Function to add a walked coordinate of line i, and its further coordinates as a candidate for the point
+  function addCandidate(coord, values) {
+    walkedCoords.push(coord);
+    if (!candidatesByCoord.hasOwnProperty(coord)) candidatesByCoord[coord] = [];
+    candidatesByCoord[coord].push(values);
+  }
+
+  // Function to add a coordinate (with its further coordinates) to the current segment of line i, and to end this segment if it is a split point
+  function addCoord(coord) {
+    segmentCoords.push(coord.concat(valuesByCoord[coord]));
+    if ((segmentCoords.length < 2) || !isSplitPoint[coord]) return;
+    segmentCoordsArray.push(segmentCoords.map(function(coord){ return [coord[0], coord[1]]; }));
+    outputFeatureArray.push(helpers.lineString(segmentCoords, {line: i, origin: input.origins[i], segment: numSegments}));
+    numSegments++;
+    segmentCoords = [segmentCoords[segmentCoords.length-1]];
+  }
+
+}
+
+// Function to gather the rings of a Polygon or MultiPolygon geometry, a Feature of either type or a FeatureCollection of such Features. Returns the (copied) rings of [x,y] pairs, for each of their vertices the further coordinates (such as Z and M) it has in the input, for each ring the [feature index, polygon index] it comes from, and the input Features by their index (if the input is a geometry, there are none).
+// With the geometry type 'LineString', the lines of LineString or MultiLineString geometries are gathered in the same way instead, each as one (unclosed) ring coming from its [feature index, line index].
+function readRings(input, geometryType) {
+  if (geometryType === undefined) geometryType = "Polygon";
+  var rings = [];
+  var extraValues = [];
+  var origins = [];
+  var features = [];
+  addInput(input);
+  return {rings: rings, extraValues: extraValues, origins: origins, features: features};
+
+  function addInput(input) {
+    if ((input === undefined) || (input == null)) throw new Error("The input must be a geojson object");
+    if (input.type == "FeatureCollection") {
+      for (var i = 0; i < input.features.length; i++) {
+        addFeature(input.features[i], i);
+      }
+    } else if (input.type == "Feature") {
+      addFeature(input, 0);
+    } else {
+      addGeometry(input, 0);
+    }
+  }
+
+  function addFeature(feature, featureIndex) {
+    if (feature.type != "Feature") throw new Error("The input FeatureCollection may only contain geojson objects of type Feature");
+    if ((feature.geometry === undefined) || (feature.geometry == null)) throw new Error("The input must a geojson object with a non-empty geometry");
+    features[featureIndex] = feature;
+    addGeometry(feature.geometry, featureIndex);
+  }
+
+  function addGeometry(geometry, featureIndex) {
+    if (geometry.type == geometryType) {
+      addPart(geometry.coordinates, featureIndex, 0);
+    } else if (geometry.type == "Multi" + geometryType) {
+      for (var i = 0; i < geometry.coordinates.length; i++) {
+        addPart(geometry.coordinates[i], featureIndex, i);
+      }
+    } else {
+      throw new Error("The input must be a geojson " + geometryType + " or Multi" + geometryType);
+    }
+  }
+
+  // Function to add the rings of a polygon, or a line as one ring
+  function addPart(partCoords, featureIndex, partIndex) {
+    var partRings = (geometryType == "Polygon") ? partCoords : [partCoords];
+    for (var i = 0; i < partRings.length; i++) {
+      // Copy ring, such that closing it does not alter the input. The vertices are only compared by their [x,y], so their further coordinates are stored apart.
+      rings.push(partRings[i].map(function(coord){ return [coord[0], coord[1]]; }));
+      extraValues.push(partRings[i].map(function(coord){ return coord.slice(2); }));
+      origins.push([featureIndex, partIndex]);
+    }
+  }
+}
+
+// Function to copy the 'properties' and 'id' of an input feature to an output feature. The properties computed for the output feature take precedence over input properties of the same name.
+function copyInputProperties(outputFeature, inputFeature) {
+  var properties = {};
+  for (var key in inputFeature.properties) properties[key] = inputFeature.properties[key];
+  for (var key in outputFeature.properties) properties[key] = outputFeature.properties[key];
+  outputFeature.properties = properties;
+  if (inputFeature.id !== undefined) outputFeature.id = inputFeature.id;
+}
+
+// Function to interpolate the further coordinates (such as Z and M) of the vertices at the start and end of an edge, at a fractional distance along it. Only the values both vertices have are interpolated.
+function interpolateValues(startValues, endValues, param) {
+  var values = [];
+  for (var i = 0; i < Math.min(startValues.length, endValues.length); i++) {
+    values.push(startValues[i] + param * (endValues[i] - startValues[i]));
+  }
+  return values;
+}
+
+// Function to choose the further coordinates (such as Z and M) of a point among those of the candidates passing through it (in the order they appear in the input), with a z rule. Only the candidates with the most values are passed to the z rule, such that the values that are available are kept.
+function chooseValues(candidates, zRule) {
+  var numValues = Math.max.apply(null, candidates.map(function(values){ return values.length; }));
+  return zRules[zRule](candidates.filter(function(values){ return values.length == numValues; }));
+}
+
+// Function to read the tolerance option, which must be a non-negative number (0 if it is not set)
+function toleranceOption(options) {
+  var tolerance = options.tolerance || 0;
+  if ((typeof(tolerance) !== 'number') || !(tolerance >= 0) || !isFinite(tolerance)) throw new Error("The tolerance must be a non-negative number");
+  return tolerance;
+}
+
+// Function to add an issue of some kind to a validity report (of diagnose or verify), and a feature with the given geometry (if any) to the features highlighting the issues
+function addIssue(report, issueFeatures, kind, geometry, issue) {
+  report.valid = false;
+  report[kind].push(issue);
+  if (geometry == null) return;
+  var properties = {issue: kind};
+  for (var key in issue) properties[key] = issue[key];
+  issueFeatures.push(helpers.feature(geometry, properties));
+}
+
+// Function to prepare the input rings for walking: their coordinates are snapped to the grid if a tolerance is set, normalized in geodesic mode, they are closed if they are not, and repeated consecutive vertices (which make up edges of length zero) are removed. The rings are changed in place.
+// Returns for each ring if it was closed in the input, its number of vertices in the input, and for each of its remaining vertices its index in the input ring.
+function cleanRings(rings, tolerance, geodesic) {
+  var cleaning = [];
+  for (var i = 0; i < rings.length; i++) {
+    if (tolerance) rings[i] = rings[i].map(function(coord){ return snapCoord(coord, tolerance); });
+    if (geodesic) rings[i] = rings[i].map(normalizeLonLat); // Such that equal points on the sphere have equal coordinates
+    var ring = rings[i];
+    var numVertices = ring.length;
+    var vertexIndices = ring.map(function(coord, j){ return j; });
+    var wasClosed = (ring.length == 0) || equalArrays(ring[0],ring[ring.length-1]); // An empty ring has no closing edge to add
+    if (!wasClosed) {
+      ring.push(ring[0]); // Close input ring if it is not
+      vertexIndices.push(0);
+    }
+    for (var j = ring.length-1; j > 0; j--) {
+      if (equalArrays(ring[j],ring[j-1])) {
+        ring.splice(j,1);
+        vertexIndices.splice(j,1);
+      }
+    }
+    cleaning.push({wasClosed: wasClosed, numVertices: numVertices, vertexIndices: vertexIndices});
+  }
+  return cleaning;
+}
+
+// Function to put all edges of the rings in an rbush tree, which is used to find vertices on edges and, in geodesic mode, self-intersections. Each item stores the ring and edge it belongs to.
+function edgeTree(rings, geodesic) {
+  var allEdgesAsRbushTreeItems = [];
+  for (var i = 0; i < rings.length; i++) {
+    for (var j = 0; j < rings[i].length-1; j++) {
+      var item = edgeBbox(rings[i][j], rings[i][j+1], geodesic);
+      item.ring = i;
+      item.edge = j;
+      allEdgesAsRbushTreeItems.push(item);
+    }
+  }
+  var tree = rbush();
+  tree.load(allEdgesAsRbushTreeItems);
+  return tree;
+}
+
+// Function to compute the self-intersections of the rings. This is done on one polygon containing all rings, such that cross-intersections between rings of different input polygons are found too.
+// Returns an array in which each element is an array containing the [x,y] of the intersection and, for both crossing edges, their ring, edge, start, end and the fractional distance of the intersection on them, as given by the underlying function.
+var geodesicIsectGrid = 1e-9;
+function findSelfIsects(rings, edgeRbushTree, tolerance, geodesic) {
+  // The underlying function mentions each intersection twice (once for each order of the two edges), but we only keep the first mention. We also only keep proper crossings, where the interiors of both edges cross. Configurations where a vertex lies on an edge or on another vertex are dealt with separately.
+  // With a tolerance, the intersections are snapped to the grid too, such that intersections lying close together are merged.
+  // In geodesic mode, the same crossing computed from different pairs of edges (e.g. where collinear edges overlap) differs by a rounding error. Without a tolerance, the intersections are therefore snapped to a fine grid of 'geodesicIsectGrid' degrees, such that they are merged as well. The input vertices are not snapped.
+  // The underlying function works in the plane. In geodesic mode, we therefore look for crossing great-circle arcs among the edges with overlapping bounding boxes ourselves.
+  var selfIsectsData = [];
+  if (geodesic) {
+    var allEdgesAsRbushTreeItems = edgeRbushTree.all();
+    for (var i = 0; i < allEdgesAsRbushTreeItems.length; i++) {
+      var item0 = allEdgesAsRbushTreeItems[i];
+      var edgeRbushTreeItemsFound = edgeRbushTree.search(item0);
+      for (var j = 0; j < edgeRbushTreeItemsFound.length; j++) {
+        var item1 = edgeRbushTreeItemsFound[j];
+        if ((item0.ring > item1.ring) || ((item0.ring == item1.ring) && (item0.edge >= item1.edge)) || !bboxesOverlapInZ(item0, item1)) continue
+        var start0 = rings[item0.ring][item0.edge];
+        var end0 = rings[item0.ring][item0.edge+1];
+        var start1 = rings[item1.ring][item1.edge];
+        var end1 = rings[item1.ring][item1.edge+1];
+        if (!properlyCross(start0, end0, start1, end1, true)) continue
+        var isect = greatCircleIntersection(start0, end0, start1, end1);
+        filterFn(isect[0], item0.ring, item0.edge, start0, end0, isect[1], item1.ring, item1.edge, start1, end1, isect[2], true);
+      }
+    }
+  } else {
+    isects({type: "Feature", geometry: {type: "Polygon", coordinates: rings}}, filterFn);
+  }
+  return selfIsectsData;
+
+  function filterFn(isect, ring0, edge0, start0, end0, frac0, ring1, edge1, start1, end1, frac1, unique){
+    if (((ring0 < ring1) || ((ring0 == ring1) && (edge0 < edge1))) && properlyCross(start0, end0, start1, end1, geodesic)) {
+      if (tolerance) {
+        isect = snapCoord(isect, tolerance);
+      } else if (geodesic) {
+        isect = snapCoord(isect, geodesicIsectGrid);
+      }
+      if (geodesic) isect = normalizeLonLat(isect);
+      selfIsectsData.push([isect, ring0, edge0, start0, end0, frac0, ring1, edge1, start1, end1, frac1, unique]);
+    }
+  }
+}
+
+// Function to compute where vertices lie on (the interior of) edges. This happens when rings touch each other or themselves, and at the ends of collinear overlapping edges. With a tolerance, vertices close to an edge are also considered to lie on it, and the edge will be walked over the vertex.
+// The last vertex of a ring is skipped, since it equals the first. For open lines (with open set), it is an end of the line and is checked as well.
+// Returns an array in which each element is an array containing the [x,y] of the vertex, the ring and edge it lies on, its fractional distance on this edge and the [ring, vertex] it is found as
+function findVtxsOnEdges(rings, edgeRbushTree, tolerance, geodesic, open) {
+  var vtxOnEdgeData = [];
+  var vtxOnEdgeSeen = {};
+  for (var i = 0; i < rings.length; i++) {
+    for (var k = 0; k < (open ? rings[i].length : rings[i].length-1); k++) {
+      var vertex = rings[i][k];
+      var vertexBbox = pointBbox(vertex, tolerance/2, geodesic);
+      var edgeRbushTreeItemsFound = edgeRbushTree.search(vertexBbox);
+      for (var j = 0; j < edgeRbushTreeItemsFound.length; j++) {
+        if (!bboxesOverlapInZ(vertexBbox, edgeRbushTreeItemsFound[j])) continue
+        var ringAndEdge = [edgeRbushTreeItemsFound[j].ring, edgeRbushTreeItemsFound[j].edge];
+        var param = paramOnEdge(vertex, rings[ringAndEdge[0]][ringAndEdge[1]], rings[ringAndEdge[0]][ringAndEdge[1]+1], tolerance, geodesic);
+        if (param === undefined) continue
+        // A repeated vertex lies on the same edges a second time, but we only want to add it once
+        var key = [vertex, ringAndEdge];
+        if (vtxOnEdgeSeen.hasOwnProperty(key)) continue
+        vtxOnEdgeSeen[key] = 1;
+        vtxOnEdgeData.push([vertex, ringAndEdge[0], ringAndEdge[1], param, [i, k]]);
+      }
+    }
+  }
+  return vtxOnEdgeData;
+}
+
+// Function to get the current time in milliseconds, in Node.js as well as in browsers
+function now() {
+  return ((typeof(performance) !== 'undefined') && performance.now) ? performance.now() : Date.now();
+}
+
+// Constructor for (ring- or intersection-) pseudo-vertices.
+var PseudoVtx = function (coord, param, ringAndEdgeIn, ringAndEdgeOut, nxtIsectAlongEdgeIn, isect) {
+  this.coord = coord; // [x,y] of this pseudo-vertex
+  this.param = param; // fractional distance of this intersection on incomming edge
+  this.ringAndEdgeIn = ringAndEdgeIn; // [ring index, edge index] of incomming edge
+  this.ringAndEdgeOut = ringAndEdgeOut; // [ring index, edge index] of outgoing edge
+  this.nxtIsectAlongEdgeIn = nxtIsectAlongEdgeIn; // The next intersection when following the incomming edge (so not when following ringAndEdgeOut!)
+  this.isect = isect; // The intersection this pseudo-vertex lies at
+  this.pseudoVtxOut = undefined; // At degenerate intersections: the pseudo-vertex whose outgoing edge is paired with the incomming edge of this one
+  this.nxtParamAlongEdgeIn = undefined; // The fractional distance of the next intersection when following the incomming edge, on the edge it lies on
+  this.coordGroup = undefined; // The number of the group of pseudo-vertices with the same coordinates, when setting up the intersections
+  this.added = false; // Was this intersection- or vertex-pseudo-vertex added to pseudoVtxListByRingAndEdge (and not left out because there is one at the same coordinates already)?
+}
+
+// Constructor for an intersection. There are two intersection-pseudo-vertices per self-intersection and one ring-pseudo-vertex per ring-vertex-intersection. Their labels 1 and 2 are not assigned a particular meaning but are permanent once given.
+var Isect = function (coord, ringAndEdge1, ringAndEdge2, nxtIsectAlongRingAndEdge1, nxtIsectAlongRingAndEdge2, ringAndEdge1Walkable, ringAndEdge2Walkable) {
+  this.coord = coord; // [x,y] of this intersection
+  this.ringAndEdge1 = ringAndEdge1; // first edge of this intersection
+  this.ringAndEdge2 = ringAndEdge2; // second edge of this intersection
+  this.nxtIsectAlongRingAndEdge1 = nxtIsectAlongRingAndEdge1; // the next intersection when following ringAndEdge1
+  this.nxtIsectAlongRingAndEdge2 = nxtIsectAlongRingAndEdge2; // the next intersection when following ringAndEdge2
+  this.ringAndEdge1Walkable = ringAndEdge1Walkable; // May we (still) walk away from this intersection over ringAndEdge1?
+  this.ringAndEdge2Walkable = ringAndEdge2Walkable; // May we (still) walk away from this intersection over ringAndEdge2?
+  this.paramsAlongRingAndEdge1 = undefined; // [start, end] fractional distances on the edge walked over when following ringAndEdge1 to the next intersection
+  this.paramsAlongRingAndEdge2 = undefined; // [start, end] fractional distances on the edge walked over when following ringAndEdge2 to the next intersection
+}
+
+// Fill rules, determining from its net winding number if a region is part of the polygon. These are the rules used by SVG and canvas, with the addition of 'positive' and 'negative'.
+var fillRules = {
+  evenodd: function(netWinding) { return netWinding % 2 != 0; },
+  nonzero: function(netWinding) { return netWinding != 0; },
+  positive: function(netWinding) { return netWinding > 0; },
+  negative: function(netWinding) { return netWinding < 0; }
+};
+
+// Z rules, choosing the further coordinates (such as Z and M) of a point from those of the input vertices and edges passing through it, in the order they appear in the input
+var zRules = {
+  first: function(candidates) { return candidates[0]; },
+  last: function(candidates) { return candidates[candidates.length-1]; },
+  average: function(candidates) {
+    var values = [];
+    for (var i = 0; i < candidates[0].length; i++) {
+      var sum = 0;
+      for (var j = 0; j < candidates.length; j++) sum += candidates[j][i];
+      values.push(sum / candidates.length);
+    }
+    return values;
+  }
+};
+
+// Function to assemble the output rings (with their parent and netWinding set) into a Polygon or MultiPolygon feature, given a fill rule (its name, or a function of the net winding number). With 'repair' set, the boundary is always retraced, and what was changed is reported.
+function assemblePolygons(output, fillRule, geodesic, repair) {
+  if (typeof(fillRule) !== 'function') fillRule = fillRules[fillRule];
+  var repairs = repair ? {zeroAreaRings: [], droppedRings: [], collapsedSegments: [], splitVertices: []} : undefined;
+  // The region inside an output ring but outside of its children is filled if its net winding number satisfies the fill rule. An output ring is hence only a boundary of the assembled polygon if its fill state differs from the one of its parent. Rings with the same fill state as their parent are merged into it, by simply leaving them out.
+  // The region outside of all output rings is not filled in the plane. On the sphere it is bounded, and it is filled if its net winding number satisfies the fill rule.
+  var features = output.features;
+  var filledOutside = geodesic && !!fillRule(output.netWindingOutside || 0);
+  var filled = [];
+  for (var i = 0; i < features.length; i++) {
+    filled.push(!!fillRule(features[i].properties.netWinding));
+  }
+  // Rings of zero area (which can occur at degenerate intersections) can't bound a region, and are left out as well.
+  var isBoundary = [];
+  for (var i = 0; i < features.length; i++) {
+    var parent = features[i].properties.parent;
+    var isZeroArea = (ringArea(features[i].geometry.coordinates[0], geodesic) == 0);
+    var isDropped = (filled[i] == ((parent == -1) ? filledOutside : filled[parent]));
+    isBoundary.push(!isDropped && !isZeroArea);
+    if (!repairs) continue
+    if (isZeroArea) {
+      repairs.zeroAreaRings.push({coords: features[i].geometry.coordinates[0], netWinding: features[i].properties.netWinding});
+    } else if (isDropped) {
+      repairs.droppedRings.push({coords: features[i].geometry.coordinates[0], netWinding: features[i].properties.netWinding, filled: filled[i]});
+    }
+  }
+  // Filled boundary rings are outer rings, the other boundary rings are inner rings of the closest boundary ring they lie within (which is necessarily filled). Outer rings must be counter-clockwise (winding 1) and inner rings clockwise (winding -1). If the region outside of all output rings is filled, the unfilled boundary rings that lie within no boundary ring bound one more polygon, covering it: its first ring is its outer ring. All its rings are clockwise, such that the filled region lies on their left as well.
+  // At degenerate intersections, boundary rings can share edges, with the same fill state on both sides, or touch each other in vertices. These rings are merged by leaving out their shared edges, and retraced such that each polygon has a connected interior, after which we can no longer rely on the output ring parents: we then pair outer and inner rings by their orientation and position.
+  var boundaryRings = [];
+  for (var i = 0; i < features.length; i++) {
+    if (isBoundary[i]) boundaryRings.push(orientRing(features[i], filled[i] ? 1 : -1));
+  }
+  var mergedRings = mergeRingsAtSharedEdges(boundaryRings, geodesic, repairs);
+  if (mergedRings !== undefined) {
+    var polygons = [];
+    var innerRings = [];
+    for (var i = 0; i < mergedRings.length; i++) {
+      if (ringArea(mergedRings[i], geodesic) > 0) {
+        polygons.push([mergedRings[i]]);
+      } else {
+        innerRings.push(mergedRings[i]);
+      }
+    }
+    var outsidePolygon = [];
+    for (var i = 0; i < innerRings.length; i++) {
+      var outer = undefined;
+      var outerArea = Infinity;
+      for (var j = 0; j < polygons.length; j++) {
+        if (ringWithinRing(innerRings[i], polygons[j][0], geodesic) && (ringArea(polygons[j][0], geodesic) < outerArea)) {
+          outer = j;
+          outerArea = ringArea(polygons[j][0], geodesic);
+        }
+      }
+      if (outer !== undefined) {
+        polygons[outer].push(innerRings[i]);
+      } else if (filledOutside) {
+        outsidePolygon.push(innerRings[i]);
+      }
+      // Otherwise, the inner ring lies in no filled region (e.g. a sliver left by rounding), and is left out
+    }
+    if (filledOutside) polygons.unshift(checkOutsidePolygon(outsidePolygon));
+    var result = (polygons.length == 1) ? helpers.polygon(polygons[0]) : helpers.feature({type: "MultiPolygon", coordinates: polygons});
+    if (repairs) result.repairs = repairs;
+    return result;
+  }
+  var polygons = filledOutside ? [[]] : [];
+  var polygonOfRing = {};
+  polygonOfRing[-1] = 0;
+  for (var i = 0; i < features.length; i++) {
+    if (!isBoundary[i] || !filled[i]) continue
+    polygonOfRing[i] = polygons.length;
+    polygons.push([orientRing(features[i], 1)]);
+  }
+  for (var i = 0; i < features.length; i++) {
+    if (!isBoundary[i] || filled[i]) continue
+    var outer = features[i].properties.parent;
+    while ((outer != -1) && !isBoundary[outer]) outer = features[outer].properties.parent;
+    polygons[polygonOfRing[outer]].push(orientRing(features[i], -1));
+  }
+  if (filledOutside) checkOutsidePolygon(polygons[0]);
+  if (polygons.length == 1) return helpers.polygon(polygons[0]);
+  return helpers.feature({type: "MultiPolygon", coordinates: polygons});
+
+  // Function to check that the polygon covering the region outside of all output rings has a ring, which is not the case if the whole sphere is filled
+  function checkOutsidePolygon(rings) {
+    if (rings.length == 0) throw new Error("The filled region covers the whole sphere, which can not be represented as a polygon");
+    return rings;
+  }
+}
+
+// Function to compute a boolean operation ('union', 'intersection', 'difference' or 'xor') of polygons, by decomposing the rings of all of them in one walk
+function booleanOperation(polygons, options, operation) {
+  if (!Array.isArray(polygons) || (polygons.length == 0)) throw new Error("The input must be a non-empty array of geojson polygons");
+  if (typeof(options) === 'boolean') options = {timing: options};
+  options = options || {};
+  var geodesic = !!options.geodesic;
+  // The orientation of the rings is normalised per operand: outer rings are made counter-clockwise and inner rings clockwise, such that the winding number of each operand is 1 inside it and 0 outside of it. The net winding number of a region is then the number of operands it lies in, and the operations select the regions by this count.
+  // For a difference, the rings of all operands but the first are reversed, such that their winding number is -1 inside them. The regions with net winding number 1 then lie in the first operand, and in none of the others.
+  // In geodesic mode, the orientation of the rings decides which side of them an operand covers (the left side, as in RFC 7946), so it is kept: the winding number of each operand is then 1 inside it and 0 outside of it as well. Reversing the rings of a polygon there makes its winding number 1 outside of it and 0 inside of it instead, so for a difference, the regions in the first operand and in none of the others have a net winding number of one more than the number of reversed polygons.
+  var features = [];
+  var numReversed = 0;
+  for (var k = 0; k < polygons.length; k++) {
+    var input = readRings(polygons[k]);
+    var sign = ((operation == 'difference') && (k > 0)) ? -1 : 1;
+    var coordinates = [];
+    for (var i = 0; i < input.rings.length; i++) {
+      var ring = input.rings[i].map(function(coord, j){ return coord.concat(input.extraValues[i][j]); });
+      if ((ring.length > 0) && !equalArrays(ring[0], ring[ring.length-1])) ring.push(ring[0]);
+      var isOuter = (i == 0) || !equalArrays(input.origins[i], input.origins[i-1]);
+      if (geodesic ? (sign < 0) : (ringArea(ring, false) * (isOuter ? sign : -sign) < 0)) ring.reverse();
+      if (isOuter) coordinates.push([]);
+      if (isOuter && geodesic && (sign < 0)) numReversed++;
+      coordinates[coordinates.length-1].push(ring);
+    }
+    features.push(helpers.feature({type: "MultiPolygon", coordinates: coordinates}));
+  }
+  var numOperands = polygons.length;
+  var fillRule = {
+    union: function(netWinding) { return netWinding >= 1; },
+    intersection: function(netWinding) { return netWinding >= numOperands; },
+    difference: function(netWinding) { return netWinding >= 1 + numReversed; },
+    xor: function(netWinding) { return netWinding % 2 != 0; }
+  }[operation];
+  var booleanOptions = {};
+  for (var key in options) booleanOptions[key] = options[key];
+  booleanOptions.fillRule = fillRule;
+  return module.exports(helpers.featureCollection(features), booleanOptions);
+}
+
+// Function to merge rings that share edges walked over in opposite directions, by leaving out these edges and tracing the remaining edges into new simple rings, and to split rings that touch each other such that each new ring bounds one connected filled region. Returns undefined if no edges or vertices are shared, unless a 'repairs' report is passed.
+function mergeRingsAtSharedEdges(rings, geodesic, repairs){
+  // 'rings' is an array of rings, which are arrays of [x,y] pairs with the last equal to the first, oriented with the filled region on their left
+  // 'repairs' is an optional report, to which the left out edges ('collapsedSegments') and the vertices where touching rings are split ('splitVertices') are added
+  // Gather all edges, leaving out pairs of opposite edges. For each edge, 'edgeRings' stores the ring it comes from.
+  var edges = [];
+  var edgeRings = [];
+  var edgesByCoords = {};
+  var collapsedCoords = {};
+  var ringOfCoord = {};
+  var isShared = false;
+  var isTouching = false;
+  for (var i = 0; i < rings.length; i++) {
+    for (var j = 0; j < rings[i].length-1; j++) {
+      if (ringOfCoord.hasOwnProperty(rings[i][j]) && (ringOfCoord[rings[i][j]] != i)) isTouching = true;
+      ringOfCoord[rings[i][j]] = i;
+      var oppositeEdges = edgesByCoords[[rings[i][j+1], rings[i][j]]];
+      if ((oppositeEdges !== undefined) && (oppositeEdges.length > 0)) {
+        edges[oppositeEdges.pop()] = undefined;
+        isShared = true;
+        if (repairs) repairs.collapsedSegments.push({coords: [rings[i][j], rings[i][j+1]]});
+        collapsedCoords[rings[i][j]] = true;
+        collapsedCoords[rings[i][j+1]] = true;
+        continue
+      }
+      if (edgesByCoords[[rings[i][j], rings[i][j+1]]] === undefined) edgesByCoords[[rings[i][j], rings[i][j+1]]] = [];
+      edgesByCoords[[rings[i][j], rings[i][j+1]]].push(edges.length);
+      edges.push([rings[i][j], rings[i][j+1]]);
+      edgeRings.push(i);
+    }
+  }
+  if (!isShared && !isTouching && !repairs) return undefined;
+  // At each vertex, pair the incomming and outgoing edges that remain, such that the new rings do not cross. They are paired along the filled regions, such that each new ring bounds one connected filled region: an inner ring touching its outer ring in two or more vertices would otherwise cut the polygon it bounds in parts. Rings touching themselves are split afterwards, such that an inner ring touching its outer ring in one vertex is traced separately again.
+  var edgesInByCoord = {};
+  var edgesOutByCoord = {};
+  var coordsWithEdges = [];
+  for (var i = 0; i < edges.length; i++) {
+    if (edges[i] === undefined) continue
+    if (!edgesOutByCoord.hasOwnProperty(edges[i][0])) {
+      edgesOutByCoord[edges[i][0]] = [];
+      edgesInByCoord[edges[i][0]] = [];
+      coordsWithEdges.push(edges[i][0]);
+    }
+    edgesOutByCoord[edges[i][0]].push(i);
+  }
+  for (var i = 0; i < edges.length; i++) {
+    if (edges[i] !== undefined) edgesInByCoord[edges[i][1]].push(i);
+  }
+  var nxtEdge = [];
+  for (var i = 0; i < coordsWithEdges.length; i++) {
+    var edgesIn = edgesInByCoord[coordsWithEdges[i]];
+    var edgesOut = edgesOutByCoord[coordsWithEdges[i]];
+    var pairedOut = pairEdgesAtIsect(coordsWithEdges[i], edgesIn.map(function(edge){ return edges[edge]; }), edgesOut.map(function(edge){ return edges[edge]; }), edgesIn.map(function(edge){ return [edge, 0]; }), edgesOut.map(function(edge){ return [edge, 0]; }), geodesic, true);
+    for (var j = 0; j < edgesIn.length; j++) nxtEdge[edgesIn[j]] = edgesOut[pairedOut[j]];
+  }
+  // Trace the new rings, and split them where they touch themselves
+  var mergedRings = [];
+  var traced = [];
+  var splitCoords = {};
+  for (var i = 0; i < edges.length; i++) {
+    if ((edges[i] === undefined) || traced[i]) continue
+    var ring = [edges[i][0]];
+    var ringEdgeRings = [];
+    for (var j = i; !traced[j]; j = nxtEdge[j]) {
+      traced[j] = true;
+      ring.push(edges[j][1]);
+      ringEdgeRings.push(edgeRings[j]);
+    }
+    var simpleRings = splitRing(ring, ringEdgeRings);
+    for (var j = 0; j < simpleRings.length; j++) {
+      if (ringArea(simpleRings[j][0], geodesic) == 0) continue
+      mergedRings.push(simpleRings[j][0]);
+      // A touching ring was split where a new ring passes from the edges of one ring to those of another, unless this is because edges were left out there
+      if (!repairs) continue
+      for (var k = 0; k < simpleRings[j][1].length; k++) {
+        var coord = simpleRings[j][0][k];
+        if ((simpleRings[j][1][k] == simpleRings[j][1][(k-1).modulo(simpleRings[j][1].length)]) || collapsedCoords[coord] || splitCoords[coord]) continue
+        splitCoords[coord] = true;
+        repairs.splitVertices.push({coord: coord});
+      }
+    }
+  }
+  return mergedRings;
+}
+
+// Function to find the faces enclosed by lines, which are split where they cross or touch each other (such that they only meet at their vertices)
+// Returns for each face its rings (the outer ring counter-clockwise and the inner rings clockwise, as arrays of [x,y] pairs with the last equal to the first) and the indices of the lines bounding it
+function polygonizeLines(lines, lineIndices, geodesic){
+  // 'lines' is an array of lines, which are arrays of [x,y] pairs
+  // 'lineIndices' contains for each line the index of the input line it is part of
+  // Gather the edges between the vertices of the lines, each once, with the input lines they lie on. Each edge is walked in both directions: as edge i from its first to its second vertex, and as edge -i-1 the other way around.
+  var edges = [];
+  var edgeLines = [];
+  var edgeByCoords = {};
+  for (var i = 0; i < lines.length; i++) {
+    for (var j = 0; j < lines[i].length-1; j++) {
+      var edge = edgeByCoords[[lines[i][j], lines[i][j+1]]];
+      if (edge === undefined) edge = edgeByCoords[[lines[i][j+1], lines[i][j]]];
+      if (edge === undefined) {
+        edge = edges.length;
+        edgeByCoords[[lines[i][j], lines[i][j+1]]] = edge;
+        edges.push([lines[i][j], lines[i][j+1]]);
+        edgeLines.push([]);
+      }
+      if (edgeLines[edge].indexOf(lineIndices[i]) == -1) edgeLines[edge].push(lineIndices[i]);
+    }
+  }
+  // Trace the boundaries of the faces, keeping each face on the left. Edges that have the same face on both sides (such as dangling ends, and edges connecting loops) do not bound a face: they are left out, after which the boundaries are traced again.
+  var isLeftOut = [];
+  var boundaries = traceBoundaries();
+  for (var i = 0; i < boundaries.length; i++) {
+    var isWalked = {};
+    for (var j = 0; j < boundaries[i].edges.length; j++) {
+      var edge = (boundaries[i].edges[j] < 0) ? -boundaries[i].edges[j]-1 : boundaries[i].edges[j];
+      if (isWalked[edge]) isLeftOut[edge] = true;
+      isWalked[edge] = true;
+    }
+  }
+  if (isLeftOut.length > 0) boundaries = traceBoundaries();
+  // Where boundaries touch themselves, they are split into simple rings. Counter-clockwise rings are outer rings of a face, and clockwise rings are inner rings of the smallest face they lie in (or bound the region outside of all faces).
+  var faces = [];
+  var innerRings = [];
+  for (var i = 0; i < boundaries.length; i++) {
+    var simpleRings = splitRing(boundaries[i].coords, boundaries[i].edges);
+    for (var j = 0; j < simpleRings.length; j++) {
+      var area = ringArea(simpleRings[j][0], geodesic);
+      var ringLines = [];
+      for (var k = 0; k < simpleRings[j][1].length; k++) {
+        var edge = (simpleRings[j][1][k] < 0) ? -simpleRings[j][1][k]-1 : simpleRings[j][1][k];
+        for (var l = 0; l < edgeLines[edge].length; l++) {
+          if (ringLines.indexOf(edgeLines[edge][l]) == -1) ringLines.push(edgeLines[edge][l]);
+        }
+      }
+      if (area > 0) faces.push({rings: [simpleRings[j][0]], lines: ringLines, area: area});
+      if (area < 0) innerRings.push({ring: simpleRings[j][0], lines: ringLines});
+    }
+  }
+  for (var i = 0; i < innerRings.length; i++) {
+    var outer = undefined;
+    for (var j = 0; j < faces.length; j++) {
+      if ((ringWithinRing(innerRings[i].ring, faces[j].rings[0], geodesic) === true) && ((outer === undefined) || (faces[j].area < faces[outer].area))) outer = j;
+    }
+    if (outer === undefined) continue
+    faces[outer].rings.push(innerRings[i].ring);
+    for (var l = 0; l < innerRings[i].lines.length; l++) {
+      if (faces[outer].lines.indexOf(innerRings[i].lines[l]) == -1) faces[outer].lines.push(innerRings[i].lines[l]);
+    }
+  }
+  return faces.map(function(face){ return {rings: face.rings, lines: face.lines.sort(function(a, b){ return a - b; })}; });
+
+  // Function to trace the boundaries of the faces over the edges that are not left out. At each vertex, the edge coming in is paired with the edge going out on its left, such that the face on the left of the edges is followed.
+  // Returns for each boundary its coordinates (with the last equal to the first) and the edges walked over
+  function traceBoundaries() {
+    var edgesInByCoord = {};
+    var edgesOutByCoord = {};
+    var coordsWithEdges = [];
+    for (var i = 0; i < edges.length; i++) {
+      if (isLeftOut[i]) continue
+      [[i, edges[i][0], edges[i][1]], [-i-1, edges[i][1], edges[i][0]]].forEach(function(walk){
+        if (!edgesOutByCoord.hasOwnProperty(walk[1])) {
+          edgesOutByCoord[walk[1]] = [];
+          edgesInByCoord[walk[1]] = [];
+          coordsWithEdges.push(walk[1]);
+        }
+        edgesOutByCoord[walk[1]].push(walk[0]);
+      });
+    }
+    for (var i = 0; i < edges.length; i++) {
+      if (isLeftOut[i]) continue
+      edgesInByCoord[edges[i][1]].push(i);
+      edgesInByCoord[edges[i][0]].push(-i-1);
+    }
+    // Both directions of an edge get the same key, such that the edge coming in over it is paired with the next edge going out, and not with itself
+    var nxtEdge = {};
+    for (var i = 0; i < coordsWithEdges.length; i++) {
+      var edgesIn = edgesInByCoord[coordsWithEdges[i]];
+      var edgesOut = edgesOutByCoord[coordsWithEdges[i]];
+      var pairedOut = pairEdgesAtIsect(coordsWithEdges[i], edgesIn.map(walkedEdge), edgesOut.map(walkedEdge), edgesIn.map(edgeKey), edgesOut.map(edgeKey), geodesic, true);
+      for (var j = 0; j < edgesIn.length; j++) nxtEdge[edgesIn[j]] = edgesOut[pairedOut[j]];
+    }
+    var boundaries = [];
+    var traced = {};
+    for (var i = 0; i < edges.length; i++) {
+      if (isLeftOut[i]) continue
+      [i, -i-1].forEach(function(start){
+        if (traced[start]) return;
+        var boundary = {coords: [walkedEdge(start)[0]], edges: []};
+        for (var edge = start; !traced[edge]; edge = nxtEdge[edge]) {
+          traced[edge] = true;
+          boundary.coords.push(walkedEdge(edge)[1]);
+          boundary.edges.push(edge);
+        }
+        boundaries.push(boundary);
+      });
+    }
+    return boundaries;
+  }
+
+  // Functions to get the [start, end] of an edge in the direction it is walked, and its key
+  function walkedEdge(edge) {
+    return (edge < 0) ? [edges[-edge-1][1], edges[-edge-1][0]] : edges[edge];
+  }
+  function edgeKey(edge) {
+    return [(edge < 0) ? -edge-1 : edge, 0];
+  }
+}
+
+// Function to get the coordinates of a simple, non-self-intersecting output ring in the orientation of the given winding number (which is stored in its properties)
+function orientRing(feature, winding) {
+  var ring = feature.geometry.coordinates[0].slice();
+  if (feature.properties.winding != winding) ring.reverse();
+  return ring;
+}
+
+// Function to determine if three consecutive points of a simple, non-self-intersecting ring make up a convex vertex, assuming the ring is right- or lefthanded
+function isConvex(pts, righthanded, geodesic){
+  // 'pts' is an [x,y] pair
+  // 'righthanded' is a boolean
+  if (typeof(righthanded) === 'undefined') righthanded = true;
+  if (pts.length != 3) throw new Error("This function requires an array of three points [x,y]");
+  var d = orientation(pts[0], pts[1], pts[2], geodesic);
+  return (d >= 0) == righthanded;
+}
+
+// Function to compute the orientation of three points: positive if they make a counter-clockwise turn, negative if they make a clockwise turn and zero if they are collinear
+// The floating point determinant is returned if it is larger than its rounding error can be. Otherwise, its sign is computed exactly, as in Shewchuk's adaptive precision predicates (https://www.cs.cmu.edu/~quake/robust.html).
+// In geodesic mode, the points are collinear if they lie on one great circle, and their orientation is the determinant of their vectors. The vectors of points on one great circle are only coplanar up to a rounding error, so a determinant this small is taken to be zero: it is the sine of the distance of a point to the great circle through the other two, times the length of the cross product of their vectors, and points closer than 'geodesicCollinearBound' (in radians) are collinear. Otherwise, a vertex lying on an edge (such as [170,0] on the edge from [180,-10] to [160,10]) would be found to lie next to it, on the side the rounding error happens to put it.
+var epsilon = Math.pow(2, -53);
+var orientationErrorBound = (3 + 16 * epsilon) * epsilon;
+var geodesicCollinearBound = 1e-12;
+function orientation(a, b, c, geodesic){
+  if (geodesic) {
+    if (onOneMeridian([a, b, c])) return 0; // Their vectors are not exactly coplanar in floating point
+    var u = toVector(a);
+    var v = toVector(b);
+    var w = toVector(c);
+    var det = dot(u, cross(v, w));
+    var scale = Math.max(Math.sqrt(dot(cross(u, v), cross(u, v))), Math.sqrt(dot(cross(v, w), cross(v, w))), Math.sqrt(dot(cross(w, u), cross(w, u))));
+    return (Math.abs(det) > geodesicCollinearBound * scale) ? det : 0;
+  }
+  return crossOfDirections(a, b, a, c);
+}
+
+// Function to compute the cross product of the direction from 'a' to 'b' and the direction from 'c' to 'd', positive if the second is counter-clockwise from the first. As above, its sign is computed exactly if needed.
+function crossOfDirections(a, b, c, d){
+  var detLeft = (b[0] - a[0]) * (d[1] - c[1]);
+  var detRight = (b[1] - a[1]) * (d[0] - c[0]);
+  var det = detLeft - detRight;
+  if (Math.abs(det) > orientationErrorBound * (Math.abs(detLeft) + Math.abs(detRight))) return det;
+  return crossOfDirectionsExact(a, b, c, d);
+}
+
+// Function to compute this cross product exactly. It is expanded into eight products, which are summed as a floating point expansion: an array of non-overlapping numbers, sorted by magnitude, whose exact sum is the cross product. The largest non-zero number has the sign of the cross product.
+function crossOfDirectionsExact(a, b, c, d){
+  var factors = [[b[0], d[1]], [-b[0], c[1]], [-a[0], d[1]], [a[0], c[1]], [-b[1], d[0]], [b[1], c[0]], [a[1], d[0]], [-a[1], c[0]]];
+  var expansion = [];
+  for (var i = 0; i < factors.length; i++) {
+    var product = twoProduct(factors[i][0], factors[i][1]);
+    expansion = growExpansion(growExpansion(expansion, product[1]), product[0]);
+  }
+  for (var i = expansion.length-1; i >= 0; i--) {
+    if (expansion[i] != 0) return expansion[i];
+  }
+  return 0;
+}
+
+// Functions to compute the sum and product of two numbers exactly, as the [rounded result, rounding error] pair, and to add a number to an expansion
+function twoSum(a, b){
+  var x = a + b;
+  var bVirtual = x - a;
+  var aVirtual = x - bVirtual;
+  return [x, (a - aVirtual) + (b - bVirtual)];
+}
+var splitter = Math.pow(2, 27) + 1;
+function split(a){
+  var c = splitter * a;
+  var high = c - (c - a);
+  return [high, a - high];
+}
+function twoProduct(a, b){
+  var x = a * b;
+  var aSplit = split(a);
+  var bSplit = split(b);
+  var err = x - aSplit[0] * bSplit[0] - aSplit[1] * bSplit[0] - aSplit[0] * bSplit[1];
+  return [x, aSplit[1] * bSplit[1] - err];
+}
+function growExpansion(expansion, b){
+  var grown = [];
+  var q = b;
+  for (var i = 0; i < expansion.length; i++) {
+    var sum = twoSum(q, expansion[i]);
+    q = sum[0];
+    grown.push(sum[1]);
+  }
+  grown.push(q);
+  return grown;
+}
+
+// Function to determine if two edges properly cross, i.e. intersect in one point which is interior to both of them
+function properlyCross(start0, end0, start1, end1, geodesic){
+  if (geodesic) {
+    // On the sphere, the great circles of the edges cross twice. The edges cross if the following orientations all have the same sign, as in the S2 geometry library.
+    var orientations = [orientation(start0, start1, end0, true), orientation(end0, end1, start0, true), orientation(start1, end0, end1, true), orientation(end1, start0, start1, true)];
+    return orientations.every(function(o){ return o > 0; }) || orientations.every(function(o){ return o < 0; });
+  }
+  var o0 = orientation(start0, end0, start1);
+  var o1 = orientation(start0, end0, end1);
+  var o2 = orientation(start1, end1, start0);
+  var o3 = orientation(start1, end1, end0);
+  return (((o0 > 0) && (o1 < 0)) || ((o0 < 0) && (o1 > 0))) && (((o2 > 0) && (o3 < 0)) || ((o2 < 0) && (o3 > 0)));
+}
+
+// Function to compute the fractional distance of a point on an edge, if it lies on the interior of this edge (and not on one of its ends). Returns undefined otherwise.
+// If a tolerance is given, a point closer to the edge than half of it is considered to lie on it too, and the fractional distance of its projection is returned.
+function paramOnEdge(pt, start, end, tolerance, geodesic){
+  if (geodesic) return paramOnArc(pt, start, end, tolerance);
+  var dot = (pt[0] - start[0]) * (end[0] - start[0]) + (pt[1] - start[1]) * (end[1] - start[1]);
+  var squaredLength = (end[0] - start[0]) * (end[0] - start[0]) + (end[1] - start[1]) * (end[1] - start[1]);
+  if ((dot <= 0) || (dot >= squaredLength) || equalArrays(pt, start) || equalArrays(pt, end)) return undefined;
+  var d = orientation(start, end, pt);
+  if (d != 0) {
+    if (!tolerance) return undefined;
+    if (d * d > squaredLength * tolerance * tolerance / 4) return undefined; // The orientation is the distance to the edge times the edge length
+  }
+  return dot / squaredLength;
+}
+
+// Function to snap an [x,y] pair to a grid with a given cell size. Multiplying the number of cells by the cell size leaves floating point noise where the cell size is not exactly representable (e.g. 72.47878510000001 for a cell size of 1e-9), so if the number of cells per unit is (nearly) an integer, as for decimal cell sizes, the number of cells is divided by it instead, which gives the nearest floating point number to the grid point.
+function snapCoord(coord, cellSize){
+  var snapped = coord.slice();
+  var cellsPerUnit = Math.round(1 / cellSize);
+  if ((cellsPerUnit >= 1) && (Math.abs(cellsPerUnit * cellSize - 1) < 1e-12)) {
+    snapped[0] = Math.round(coord[0] * cellsPerUnit) / cellsPerUnit;
+    snapped[1] = Math.round(coord[1] * cellsPerUnit) / cellsPerUnit;
+  } else {
+    snapped[0] = Math.round(coord[0] / cellSize) * cellSize;
+    snapped[1] = Math.round(coord[1] / cellSize) * cellSize;
+  }
+  return snapped;
+}
+
+// Function to compare two [x,y] pairs by their x-value, and then by their y-value
+function compareCoords(a, b){
+  if (a[0] != b[0]) return (a[0] < b[0]) ? -1 : 1;
+  if (a[1] != b[1]) return (a[1] < b[1]) ? -1 : 1;
+  return 0;
+}
+
+// Function to compare the directions of two rays, given as the point they start from and a point they go to, counter-clockwise starting from the positive x-axis
+// In geodesic mode, the rays start from the point 'coord', and their directions are compared in the plane tangent to the sphere there. Rays along the same great circle (such as overlapping edges) have the same direction, even though their tangent vectors, computed from different points, differ by a rounding error.
+function compareDirections(a, b, coord, geodesic){
+  if (geodesic) {
+    var tangentA = tangentVector(coord, a[1]);
+    var tangentB = tangentVector(coord, b[1]);
+    if ((orientation(coord, a[1], b[1], true) == 0) && (tangentA[0] * tangentB[0] + tangentA[1] * tangentB[1] > 0)) return 0;
+    return compareDirections([[0, 0], tangentA], [[0, 0], tangentB]);
+  }
+  var halfA = ((a[1][1] > a[0][1]) || ((a[1][1] == a[0][1]) && (a[1][0] > a[0][0]))) ? 0 : 1;
+  var halfB = ((b[1][1] > b[0][1]) || ((b[1][1] == b[0][1]) && (b[1][0] > b[0][0]))) ? 0 : 1;
+  if (halfA != halfB) return halfA - halfB;
+  var d = crossOfDirections(a[0], a[1], b[0], b[1]);
+  return (d > 0) ? -1 : ((d < 0) ? 1 : 0);
+}
+
+// Function to pair the incomming and outgoing edges of the pseudo-vertices at a degenerate intersection, such that walking in over an edge and out over its paired edge never crosses another such walk
+function pairEdgesAtIsect(coord, inEdges, outEdges, inKeys, outKeys, geodesic, clockwise){
+  // 'coord' is the [x,y] of the intersection
+  // 'inEdges' and 'outEdges' contain for each pseudo-vertex the [start, end] of its incomming and outgoing edge
+  // 'inKeys' and 'outKeys' contain for each pseudo-vertex a key of its incomming and outgoing edge, as a pair of numbers
+  // 'clockwise' is an optional boolean: if set, each incomming edge is paired with an outgoing edge on its left instead of on its right
+  // Returns for each pseudo-vertex the index of the pseudo-vertex whose outgoing edge is paired with its incomming edge
+  // Sort all edges counter-clockwise around the intersection. Their directions are taken from the edges themselves, and not from the intersection, since the computed coordinates of an intersection may not lie exactly on them. Edges in the same direction overlap, and must be ordered the same way at both ends of the overlap, or walks could cross each other along it. We therefore think of overlapping edges as lying slightly apart, on the left of each other (with respect to the direction from the smallest to the largest coordinates) in the order of their keys.
+  var edges = [];
+  for (var i = 0; i < inEdges.length; i++) {
+    edges.push({ray: [inEdges[i][1], inEdges[i][0]], key: inKeys[i], incomming: true, index: i});
+    edges.push({ray: outEdges[i], key: outKeys[i], incomming: false, index: i});
+  }
+  // To pair them clockwise, they are simply sorted in the mirrored order.
+  edges.sort(function(a, b){
+    return clockwise ? compareEdges(b, a) : compareEdges(a, b);
+  });
+  // Pair them like brackets: each outgoing edge is paired with the last unpaired incomming edge before it. To be sure that there is one, we start right after the edge where the number of outgoing edges exceeds the number of incomming edges the most.
+  var start = 0;
+  var surplus = 0;
+  var maxSurplus = 0;
+  for (var i = 0; i < edges.length; i++) {
+    surplus += edges[i].incomming ? -1 : 1;
+    if (surplus > maxSurplus) {
+      maxSurplus = surplus;
+      start = i+1;
+    }
+  }
+  var paired = [];
+  var unpaired = [];
+  for (var i = 0; i < edges.length; i++) {
+    var edge = edges[(start+i) % edges.length];
+    if (edge.incomming) {
+      unpaired.push(edge.index);
+    } else {
+      paired[unpaired.pop()] = edge.index;
+    }
+  }
+  return paired;
+
+  function compareEdges(a, b) {
+    var c = compareDirections(a.ray, b.ray, coord, geodesic);
+    if (c != 0) return c;
+    var k = compareCoords(a.key, b.key);
+    if (k != 0) return (compareCoords(a.ray[1], a.ray[0]) > 0) ? k : -k;
+    if (a.incomming != b.incomming) return a.incomming ? -1 : 1;
+    return a.index - b.index;
+  }
+}
+
+// Function to compute, in geodesic mode, the net winding number of the region outside of all output rings, given the input rings and the [feature index, polygon index] origins they come from
+// On the sphere, the winding number of a polygon is only defined up to a constant: each output ring encloses its smallest side, but could as well enclose the other side. As in RFC 7946, the interior of a polygon is taken to lie on the left of its rings, such that its winding number is 0 outside of it. For a valid polygon, its winding number weighted by area then adds up to its area, which lies in [0, 4*pi). Since the signed areas of its rings (of their smallest sides) add up to this up to a multiple of the area of the sphere (4*pi), the constant is the number of times this area must be added to get there. The constants of all input polygons add up. A small margin is kept for rounding errors, such that a polygon of zero area is empty.
+function netWindingOutside(rings, ringOrigins){
+  var areaByOrigin = {};
+  for (var i = 0; i < rings.length; i++) {
+    areaByOrigin[ringOrigins[i]] = (areaByOrigin[ringOrigins[i]] || 0) + ringArea(rings[i], true);
+  }
+  var winding = 0;
+  for (var origin in areaByOrigin) winding -= Math.floor(areaByOrigin[origin] / (4 * Math.PI) + 1e-9);
+  return winding;
+}
+
+// Function to compute winding of simple, non-self-intersecting ring
+function windingOfRing(ring, geodesic){
+  // 'ring' is an array of [x,y] pairs with the last equal to the first
+  // In geodesic mode, the ring encloses its smallest side, which is on its left if its winding number is 1
+  if (geodesic) return (ringArea(ring, true) >= 0) ? 1 : -1;
+  // Compute the winding number based on the vertex with the smallest x-value, it precessor and successor. An extremal vertex of a simple, non-self-intersecting ring is always convex, so the only reason it is not is because the winding number we use to compute it is wrong
+  var leftVtx = 0;
+  for (var i = 0; i < ring.length-1; i++) { if (compareCoords(ring[i], ring[leftVtx]) < 0) leftVtx = i; }
+  if (isConvex([ring[(leftVtx-1).modulo(ring.length-1)],ring[leftVtx],ring[(leftVtx+1).modulo(ring.length-1)]],true)) {
+    var winding = 1;
+  } else {
+    var winding = -1;
+  }
+  return winding
+}
+
+// Function to compute the signed area of a ring, positive if it is counter-clockwise
+// In geodesic mode, this is the area (in steradians) of the smallest side of the ring, positive if it is on the left
+function ringArea(ring, geodesic){
+  // 'ring' is an array of [x,y] pairs with the last equal to the first
+  if (geodesic) {
+    var area = sphericalFanArea(toVector(ring[0]), ring).modulo(4 * Math.PI);
+    return (area > 2 * Math.PI) ? area - 4 * Math.PI : area;
+  }
+  var sum = 0;
+  for (var i = 0; i < ring.length-1; i++) {
+    sum += ring[i][0] * ring[i+1][1] - ring[i+1][0] * ring[i][1];
+  }
+  return sum / 2;
+}
+
+// Function to determine if a point lies inside (1), on (0) or outside (-1) a ring, using its winding number
+function pointInRing(pt, ring, geodesic){
+  // 'ring' is an array of [x,y] pairs with the last equal to the first
+  if (geodesic) {
+    // The ring must be simple. The point is inside if it lies on the same side as the smallest side of the ring.
+    // Seen from the point, the ring winds around it if it separates the point from its antipode. Whether the antipode lies on the left follows from the area of the triangles between the point and the edges.
+    for (var i = 0; i < ring.length-1; i++) {
+      if (equalArrays(pt, ring[i]) || (paramOnArc(pt, ring[i], ring[i+1]) !== undefined)) return 0;
+    }
+    var area = ringArea(ring, true);
+    if (area == 0) return -1;
+    var p = toVector(pt);
+    var antipodeOnLeft = (sphericalFanArea(p, ring) < 0) ? 1 : 0;
+    var onLeft = (sphericalWinding(p, ring) + antipodeOnLeft == 1);
+    return (onLeft == (area > 0)) ? 1 : -1;
+  }
+  var winding = 0;
+  for (var i = 0; i < ring.length-1; i++) {
+    if (equalArrays(pt, ring[i]) || (paramOnEdge(pt, ring[i], ring[i+1]) !== undefined)) return 0;
+    if (ring[i][1] <= pt[1]) {
+      if ((ring[i+1][1] > pt[1]) && (orientation(ring[i], ring[i+1], pt) > 0)) winding++;
+    } else {
+      if ((ring[i+1][1] <= pt[1]) && (orientation(ring[i], ring[i+1], pt) < 0)) winding--;
+    }
+  }
+  return (winding != 0) ? 1 : -1;
+}
+
+// Function to determine if a simple ring lies within another simple ring, given that they do not cross (but may touch). Returns undefined if all its vertices and edge midpoints lie on the other ring.
+function ringWithinRing(ring, otherRing, geodesic){
+  for (var i = 0; i < ring.length-1; i++) {
+    var position = pointInRing(ring[i], otherRing, geodesic);
+    if (position != 0) return position == 1;
+  }
+  // If all vertices lie on the other ring, we test the midpoints of the edges. Edges along the other ring are skipped, since their computed midpoint may not lie exactly on it.
+  for (var i = 0; i < ring.length-1; i++) {
+    if (edgeOnRing(ring[i], ring[i+1], otherRing, geodesic)) continue
+    var midpoint = geodesic ? toLonLat(normalize(add(toVector(ring[i]), toVector(ring[i+1])))) : [(ring[i][0]+ring[i+1][0])/2, (ring[i][1]+ring[i+1][1])/2];
+    var position = pointInRing(midpoint, otherRing, geodesic);
+    if (position != 0) return position == 1;
+  }
+  return undefined;
+}
+function edgeOnRing(start, end, ring, geodesic){
+  for (var i = 0; i < ring.length-1; i++) {
+    if ((equalArrays(start, ring[i]) || equalArrays(start, ring[i+1]) || (paramOnEdge(start, ring[i], ring[i+1], 0, geodesic) !== undefined)) && (equalArrays(end, ring[i]) || equalArrays(end, ring[i+1]) || (paramOnEdge(end, ring[i], ring[i+1], 0, geodesic) !== undefined))) return true;
+  }
+  return false;
+}
+
+// Function to compute the part along which two collinear edges overlap, as the [x,y] pairs at its ends. Returns undefined if they don't overlap, or only share a point.
+function overlapOfEdges(start0, end0, start1, end1, tolerance, geodesic){
+  // The ends of the overlap are those ends of both edges that lie on the other edge
+  var pts = [];
+  [start0, end0].forEach(function(pt){
+    if (equalArrays(pt, start1) || equalArrays(pt, end1) || (paramOnEdge(pt, start1, end1, tolerance, geodesic) !== undefined)) pts.push(pt);
+  });
+  [start1, end1].forEach(function(pt){
+    if (!equalArrays(pt, start0) && !equalArrays(pt, end0) && (paramOnEdge(pt, start0, end0, tolerance, geodesic) !== undefined)) pts.push(pt);
+  });
+  pts = getUnique(pts).sort(compareCoords);
+  if (pts.length < 2) return undefined;
+  return [pts[0], pts[pts.length-1]];
+}
+
+// Function to compute the bounding box of an edge, as an rbush tree item
+// In geodesic mode, this is the box around the great-circle arc in 3D, with the z-values in 'minZ' and 'maxZ'. The arc lies between its chord and the chord scaled by the inverse of the chord's distance to the center, which is at least half of the length of the sum of the end vectors.
+function edgeBbox(start, end, geodesic){
+  if (!geodesic) return {minX: Math.min(start[0],end[0]), minY: Math.min(start[1],end[1]), maxX: Math.max(start[0],end[0]), maxY: Math.max(start[1],end[1])};
+  var a = toVector(start);
+  var b = toVector(end);
+  var sum = add(a, b);
+  if (dot(sum, sum) < 1e-20) throw new Error("In geodesic mode, the vertices of an edge can not be antipodal");
+  var scale = 2 / Math.sqrt(dot(sum, sum));
+  var min = [];
+  var max = [];
+  for (var i = 0; i < 3; i++) {
+    min.push(Math.min(a[i], b[i], a[i] * scale, b[i] * scale) - 1e-12);
+    max.push(Math.max(a[i], b[i], a[i] * scale, b[i] * scale) + 1e-12);
+  }
+  return {minX: min[0], minY: min[1], maxX: max[0], maxY: max[1], minZ: min[2], maxZ: max[2]};
+}
+
+// Function to compute the bounding box of a ring, as an rbush tree item with the index of the ring
+// In geodesic mode, this is the box in 3D around the edges of the ring. The boxes of the edges must be tight here (unlike those of edgeBbox), such that the box of a ring within another ring lies within the box of the region that ring encloses (see ringTree).
+function ringBbox(ring, index, geodesic){
+  var bbox = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, index: index};
+  if (!geodesic) {
+    for (var i = 0; i < ring.length-1; i++) extendBbox(bbox, ring[i], ring[i]);
+    return bbox;
+  }
+  bbox.minZ = Infinity;
+  bbox.maxZ = -Infinity;
+  for (var i = 0; i < ring.length-1; i++) {
+    var arc = arcBbox(ring[i], ring[i+1]);
+    extendBbox(bbox, arc[0], arc[1]);
+  }
+  return bbox;
+}
+
+// Function to build an rbush tree of the bounding boxes of rings, to search the rings that may contain a ring or a point with ringsContainingBbox
+// In geodesic mode, the edges of a ring do not bound the region it encloses (e.g. when it encloses a pole). Each coordinate takes its extremes over this region either on the edges or at the points where the sphere meets the axes, so the boxes of the edges are extended by the axis points inside the ring. The position of an axis point can not be determined reliably if its antipode lies on the ring, in which case it is added as well.
+function ringTree(rings, geodesic){
+  // The axis points come in antipodal pairs
+  var axisPoints = [[0,0], [180,0], [90,0], [-90,0], [0,90], [0,-90]];
+  var tree = rbush();
+  tree.load(rings.map(function(ring, i){
+    var bbox = ringBbox(ring, i, geodesic);
+    if (!geodesic) return bbox;
+    var positions = axisPoints.map(function(pt){ return pointInRing(pt, ring, true); });
+    for (var j = 0; j < axisPoints.length; j++) {
+      var v = toVector(axisPoints[j]);
+      if ((positions[j] == 1) || (positions[j ^ 1] == 0)) extendBbox(bbox, v, v);
+    }
+    return bbox;
+  }));
+  return tree;
+}
+
+// Function to extend a bounding box with a box given by its [x,y] or [x,y,z] minimum and maximum
+function extendBbox(bbox, min, max){
+  bbox.minX = Math.min(bbox.minX, min[0]);
+  bbox.minY = Math.min(bbox.minY, min[1]);
+  bbox.maxX = Math.max(bbox.maxX, max[0]);
+  bbox.maxY = Math.max(bbox.maxY, max[1]);
+  if (bbox.minZ === undefined) return
+  bbox.minZ = Math.min(bbox.minZ, min[2]);
+  bbox.maxZ = Math.max(bbox.maxZ, max[2]);
+}
+
+// Function to get the indices of the rings in a ring tree that may contain a ring or a point, given its bounding box: the rings of which the bounding box contains it, in the order of their index.
+// In geodesic mode, the boxes are in 3D, and they are computed from vectors with rounding errors, so a margin of 1e-11 (more than the padding of pointBbox) is allowed.
+function ringsContainingBbox(tree, bbox){
+  return tree.search(bbox).filter(function(candidate){
+    var margin = (candidate.minZ === undefined) ? 0 : 1e-11;
+    var containsInZ = (candidate.minZ === undefined) || ((candidate.minZ <= bbox.minZ + margin) && (candidate.maxZ >= bbox.maxZ - margin));
+    return containsInZ && (candidate.minX <= bbox.minX + margin) && (candidate.minY <= bbox.minY + margin) && (candidate.maxX >= bbox.maxX - margin) && (candidate.maxY >= bbox.maxY - margin);
+  }).map(function(candidate){ return candidate.index; }).sort(function(a, b){ return a - b; });
+}
+
+// Function to compute the bounding box of a point with a padding around it. In geodesic mode, the padding is given in degrees and the box is in 3D, as above.
+function pointBbox(pt, padding, geodesic){
+  if (!geodesic) return {minX: pt[0] - padding, minY: pt[1] - padding, maxX: pt[0] + padding, maxY: pt[1] + padding};
+  var v = toVector(pt);
+  var chordPadding = padding * Math.PI / 180 + 1e-12;
+  return {minX: v[0] - chordPadding, minY: v[1] - chordPadding, maxX: v[0] + chordPadding, maxY: v[1] + chordPadding, minZ: v[2] - chordPadding, maxZ: v[2] + chordPadding};
+}
+
+// Function to compute the bounding box in 3D of a great-circle arc, as the [min, max] vectors of its end vectors and the points on it where a coordinate takes its extreme on the great circle
+function arcBbox(start, end){
+  var a = toVector(start);
+  var b = toVector(end);
+  var min = [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.min(a[2], b[2])];
+  var max = [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.max(a[2], b[2])];
+  var normal = cross(a, b);
+  if (dot(normal, normal) < 1e-30) return [min, max];
+  normal = normalize(normal);
+  for (var i = 0; i < 3; i++) {
+    // The extremes of coordinate i on the great circle lie in the direction of its axis, projected onto the plane of the circle
+    var extreme = [-normal[i] * normal[0], -normal[i] * normal[1], -normal[i] * normal[2]];
+    extreme[i] += 1;
+    if (dot(extreme, extreme) < 1e-30) continue
+    extreme = normalize(extreme);
+    for (var sign = -1; sign <= 1; sign += 2) {
+      var pt = [sign * extreme[0], sign * extreme[1], sign * extreme[2]];
+      if ((dot(cross(a, pt), normal) <= 0) || (dot(cross(pt, b), normal) <= 0)) continue
+      min[i] = Math.min(min[i], pt[i]);
+      max[i] = Math.max(max[i], pt[i]);
+    }
+  }
+  return [min, max];
+}
+
+// Function to determine if two bounding boxes that overlap in 2D overlap in 3D as well
+function bboxesOverlapInZ(a, b){
+  return (a.minZ === undefined) || ((a.minZ <= b.maxZ) && (b.minZ <= a.maxZ));
+}
+
+// Functions for the geodesic mode, in which [longitude, latitude] pairs in degrees are points on the unit sphere, and edges are the shortest great-circle arcs between them
+
+// Function to normalize a [longitude, latitude] pair, such that every point has only one: the longitude lies in (-180,180] and is 0 at the poles
+function normalizeLonLat(coord){
+  if (!(Math.abs(coord[1]) <= 90)) throw new Error("In geodesic mode, the latitudes must lie between -90 and 90");
+  var normalized = coord.slice();
+  if (Math.abs(coord[1]) == 90) {
+    normalized[0] = 0;
+  } else if ((coord[0] <= -180) || (coord[0] > 180)) {
+    normalized[0] = 180 - (180 - coord[0]).modulo(360);
+  }
+  return normalized;
+}
+
+// Function to convert a [longitude, latitude] pair to a unit vector, and back
+function toVector(coord){
+  var lon = coord[0] * Math.PI / 180;
+  var lat = coord[1] * Math.PI / 180;
+  var cosLat = (Math.abs(coord[1]) == 90) ? 0 : Math.cos(lat);
+  return [cosLat * Math.cos(lon), cosLat * Math.sin(lon), Math.sin(lat)];
+}
+function toLonLat(vector){
+  return normalizeLonLat([Math.atan2(vector[1], vector[0]) * 180 / Math.PI, Math.atan2(vector[2], Math.sqrt(vector[0] * vector[0] + vector[1] * vector[1])) * 180 / Math.PI]);
+}
+
+// Functions for vectors in 3D
+function add(a, b){
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+function dot(a, b){
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+function cross(a, b){
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+function normalize(a){
+  var length = Math.sqrt(dot(a, a));
+  return [a[0] / length, a[1] / length, a[2] / length];
+}
+function angle(a, b){
+  return Math.atan2(Math.sqrt(dot(cross(a, b), cross(a, b))), dot(a, b));
+}
+
+// Function to determine if points lie on one meridian (i.e. on one great circle through the poles)
+function onOneMeridian(pts){
+  var lon = undefined;
+  for (var i = 0; i < pts.length; i++) {
+    if (Math.abs(pts[i][1]) == 90) continue
+    if (lon === undefined) lon = pts[i][0].modulo(180);
+    if (pts[i][0].modulo(180) != lon) return false;
+  }
+  return true;
+}
+
+// Function to compute where two crossing edges intersect on the sphere, and the fractional distance (by angle) of this intersection on both edges
+function greatCircleIntersection(start0, end0, start1, end1){
+  var a0 = toVector(start0);
+  var b0 = toVector(end0);
+  var a1 = toVector(start1);
+  var b1 = toVector(end1);
+  var p = normalize(cross(cross(a0, b0), cross(a1, b1)));
+  // Of both intersections of the great circles, take the one on the edges
+  if (dot(p, add(a0, b0)) < 0) p = [-p[0], -p[1], -p[2]];
+  return [toLonLat(p), angle(a0, p) / angle(a0, b0), angle(a1, p) / angle(a1, b1)];
+}
+
+// Function to compute the fractional distance (by angle) of a point on a great-circle arc, if it lies on its interior. Returns undefined otherwise. If a tolerance is given, points closer to the arc than half of it (in degrees) are considered to lie on it.
+function paramOnArc(pt, start, end, tolerance){
+  if (equalArrays(pt, start) || equalArrays(pt, end)) return undefined;
+  var s = toVector(start);
+  var e = toVector(end);
+  var p = toVector(pt);
+  var normal = cross(s, e);
+  var d = orientation(start, end, pt, true);
+  if (d != 0) {
+    if (!tolerance) return undefined;
+    var sinDistance = Math.sin(tolerance / 2 * Math.PI / 180);
+    if (d * d > dot(normal, normal) * sinDistance * sinDistance) return undefined; // The orientation is the sine of the distance to the great circle times the length of the normal
+    var f = d / dot(normal, normal);
+    p = [p[0] - f * normal[0], p[1] - f * normal[1], p[2] - f * normal[2]];
+  }
+  if ((dot(cross(s, p), normal) <= 0) || (dot(cross(p, e), normal) <= 0)) return undefined;
+  return angle(s, p) / angle(s, e);
+}
+
+// Function to compute a vector in the direction from one point to another, in the plane tangent to the sphere at the first point, given by its eastern and northern component
+function tangentVector(coord, pt){
+  var lon = coord[0] * Math.PI / 180;
+  var east = [-Math.sin(lon), Math.cos(lon), 0];
+  var north = cross(toVector(coord), east);
+  var p = toVector(pt);
+  return [dot(p, east), dot(p, north)];
+}
+
+// Function to compute the sum of the signed areas of the spherical triangles between a point (given as a vector) and the edges of a ring, using the formula of Eriksson. This is the area on the left of the ring if the antipode of the point lies on its right, and this area minus the area of the sphere (4*pi) if the antipode lies on its left.
+// Triangles with the point as a vertex are skipped, such that e.g. a spike back and forth from the first vertex of a ring has an area of exactly zero.
+function sphericalFanArea(o, ring){
+  var sum = 0;
+  for (var i = 0; i < ring.length-1; i++) {
+    var a = toVector(ring[i]);
+    var b = toVector(ring[i+1]);
+    if (equalArrays(a, o) || equalArrays(b, o)) continue
+    sum += 2 * Math.atan2(dot(o, cross(a, b)), 1 + dot(o, a) + dot(a, b) + dot(b, o));
+  }
+  return sum;
+}
+
+// Function to compute the winding number of a ring around a point (given as a vector), as seen from this point (i.e. relative to its antipode), by summing the angles the edges make at the point
+function sphericalWinding(o, ring){
+  var sum = 0;
+  for (var i = 0; i < ring.length-1; i++) {
+    var a = toVector(ring[i]);
+    var b = toVector(ring[i+1]);
+    sum += Math.atan2(dot(o, cross(a, b)), dot(a, b) - dot(o, a) * dot(o, b));
+  }
+  return Math.round(sum / (2 * Math.PI));
+}
+
+// Function to build the topology of the output rings, after their parents are determined: the nodes where they meet, the edges walked between consecutive nodes, and the faces they bound
+function buildTopology(features) {
+  // Nodes are found by their coordinates. A node is a self-intersection if it is passed more than once (by one or more output rings), i.e. where edges cross or touch, and a ring vertex otherwise.
+  var nodes = [];
+  var nodeByCoord = {};
+  var edges = [];
+  var faces = [];
+  for (var i = 0; i < features.length; i++) {
+    var ring = features[i].geometry.coordinates[0];
+    for (var j = 0; j < ring.length-1; j++) {
+      if (!nodeByCoord.hasOwnProperty(ring[j])) {
+        nodeByCoord[ring[j]] = nodes.length;
+        nodes.push({coord: ring[j], type: 'ringVertex', edges: []});
+      } else {
+        nodes[nodeByCoord[ring[j]]].type = 'selfIntersection';
+      }
+    }
+  }
+  // Each segment of an output ring is a directed edge, in the direction it was walked. It lies on one input edge, and bounds the face of its output ring. Where output rings share a segment, walked in opposite directions, their edges are each others twin.
+  var edgesByNodes = {};
+  for (var i = 0; i < features.length; i++) {
+    var ring = features[i].geometry.coordinates[0];
+    var segments = features[i].properties.segments;
+    var faceEdges = [];
+    for (var j = 0; j < ring.length-1; j++) {
+      var edge = {from: nodeByCoord[ring[j]], to: nodeByCoord[ring[j+1]], face: i, ringAndEdge: segments[j].ringAndEdge, params: segments[j].params, twin: -1};
+      var twins = edgesByNodes[[edge.to, edge.from]];
+      if ((twins !== undefined) && (twins.length > 0)) {
+        edge.twin = twins.shift();
+        edges[edge.twin].twin = edges.length;
+      }
+      if (edge.twin == -1) {
+        if (!edgesByNodes.hasOwnProperty([edge.from, edge.to])) edgesByNodes[[edge.from, edge.to]] = [];
+        edgesByNodes[[edge.from, edge.to]].push(edges.length);
+      }
+      nodes[edge.from].edges.push(edges.length);
+      nodes[edge.to].edges.push(edges.length);
+      faceEdges.push(edges.length);
+      edges.push(edge);
+    }
+    faces.push({edges: faceEdges, parent: features[i].properties.parent, children: [], neighbours: []});
+  }
+  // The faces of an output ring and its parent are nested and share its edges, as do the faces of twin edges
+  for (var i = 0; i < faces.length; i++) {
+    if (faces[i].parent != -1) {
+      faces[faces[i].parent].children.push(i);
+      addNeighbours(i, faces[i].parent);
+    }
+  }
+  for (var i = 0; i < edges.length; i++) {
+    if (edges[i].twin != -1) addNeighbours(edges[i].face, edges[edges[i].twin].face);
+  }
+  return {nodes: nodes, edges: edges, faces: faces};
+
+  function addNeighbours(face1, face2) {
+    if (face1 == face2) return;
+    if (faces[face1].neighbours.indexOf(face2) == -1) faces[face1].neighbours.push(face2);
+    if (faces[face2].neighbours.indexOf(face1) == -1) faces[face2].neighbours.push(face1);
+  }
+}
+
+// Function to split a ring that touches itself (i.e. visits a vertex more than once) into simple rings
+function splitRing(ring, segmentData){
+  // 'ring' is an array of [x,y] pairs with the last equal to the first
+  // 'segmentData' is an array with some data for each segment of the ring, which is split along with it
+  // Returns an array with for each simple ring an array containing its [x,y] pairs and its segment data
+  // Walk over the ring, keeping a stack of the vertices since the last split. When a vertex on the stack is visited again, the vertices after it make up a simple ring which is taken off the stack.
+  var simpleRings = [];
+  var stackCoords = [ring[0]];
+  var stackSegmentData = [];
+  var positionInStack = {};
+  positionInStack[ring[0]] = 0;
+  for (var i = 1; i < ring.length; i++) {
+    stackSegmentData.push(segmentData[i-1]);
+    if (positionInStack.hasOwnProperty(ring[i])) {
+      var position = positionInStack[ring[i]];
+      var simpleRingCoords = stackCoords.splice(position+1);
+      for (var j = 0; j < simpleRingCoords.length; j++) delete positionInStack[simpleRingCoords[j]];
+      simpleRingCoords.unshift(ring[i]);
+      simpleRingCoords.push(ring[i]);
+      simpleRings.push([simpleRingCoords, stackSegmentData.splice(position)]);
+    } else {
+      positionInStack[ring[i]] = stackCoords.length;
+      stackCoords.push(ring[i]);
+    }
+  }
+  return simpleRings;
+}
+
+// Function to add an origin ([feature index, polygon index]) to an array of origins, if it's not in there yet
+function addOrigin(origins, origin) {
+  for (var i = 0; i < origins.length; i++) {
+    if (equalArrays(origins[i], origin)) return;
+  }
+  origins.push(origin);
 }
 
 // Function to compare Arrays of numbers. From http://stackoverflow.com/questions/7837456/how-to-compare-arrays-in-javascript
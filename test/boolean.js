@@ -0,0 +1,59 @@
+// Tests of the boolean operations union, intersection, difference and xor, and of fill rules given as a function, on which they are built
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var square1 = {type: "Polygon", coordinates: [[[0,0],[2,0],[2,2],[0,2],[0,0]]]};
+var square2 = {type: "Polygon", coordinates: [[[1,1],[3,1],[3,3],[1,3],[1,1]]]};
+var bowtie = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+var farSquare = {type: "Polygon", coordinates: [[[5,5],[6,5],[6,6],[5,6],[5,5]]]};
+
+// Function to compute the area of a Polygon or MultiPolygon geometry, as the sum of the signed areas of its rings
+function area(geometry) {
+  var polygons = (geometry.type == "Polygon") ? [geometry.coordinates] : geometry.coordinates;
+  var sum = 0;
+  polygons.forEach(function(polygon) {
+    polygon.forEach(function(ring) {
+      for (var i = 0; i < ring.length-1; i++) sum += (ring[i][0] * ring[i+1][1] - ring[i+1][0] * ring[i][1]) / 2;
+    });
+  });
+  return sum;
+}
+
+test('the operations on two overlapping squares', function(t) {
+  var areas = {union: 7, intersection: 1, difference: 3, xor: 6};
+  for (var operation in areas) {
+    var result = simplepolygon[operation]([square1, square2]);
+    t.equal(result.type, "Feature", 'the ' + operation + ' is one feature');
+    t.equal(area(result.geometry), areas[operation], 'the ' + operation + ' has area ' + areas[operation]);
+  }
+  t.deepEqual(simplepolygon.intersection([square1, square2]).geometry, {type: "Polygon", coordinates: [[[1,2],[1,1],[2,1],[2,2],[1,2]]]}, 'the intersection is the overlap');
+  t.end();
+});
+
+test('the orientation of the operands does not matter', function(t) {
+  var clockwise = {type: "Polygon", coordinates: [square2.coordinates[0].slice().reverse()]};
+  t.deepEqual(simplepolygon.intersection([square1, clockwise]).geometry, simplepolygon.intersection([square1, square2]).geometry, 'a clockwise operand gives the same intersection');
+  t.equal(area(simplepolygon.difference([clockwise, square1]).geometry), 3, 'and the same difference');
+  t.end();
+});
+
+test('disjoint operands', function(t) {
+  t.deepEqual(simplepolygon.intersection([square1, farSquare]).geometry, {type: "MultiPolygon", coordinates: []}, 'their intersection is empty');
+  t.equal(area(simplepolygon.union([square1, farSquare]).geometry), 5, 'their union holds both');
+  t.end();
+});
+
+test('three operands', function(t) {
+  var square3 = {type: "Polygon", coordinates: [[[1,0],[3,0],[3,2],[1,2],[1,0]]]};
+  t.equal(area(simplepolygon.intersection([square1, square2, square3]).geometry), 1, 'the intersection lies in all of them');
+  t.equal(area(simplepolygon.union([square1, square2, square3]).geometry), 8, 'the union in any of them');
+  t.end();
+});
+
+test('a fill rule may be a function of the net winding number', function(t) {
+  var output = simplepolygon(bowtie, {fillRule: function(netWinding){ return netWinding < 0; }});
+  t.equal(output.type, "Feature", 'the output is one feature');
+  t.deepEqual(output.geometry, {type: "Polygon", coordinates: [[[1,1],[2,2],[0,2],[1,1]]]}, 'only the clockwise part is filled, counter-clockwise');
+  t.end();
+});
@@ -0,0 +1,53 @@
+// Tests of the simplepolygon command
+
+var test = require('tape');
+var path = require('path');
+var childProcess = require('child_process');
+
+var bowtie = {type: "Feature", properties: {name: "bowtie"}, geometry: {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]}};
+var collapsed = {type: "Feature", properties: {name: "collapsed"}, geometry: {type: "Polygon", coordinates: [[[0,0],[1,1],[0,0]]]}};
+
+// Function to run the command with the given arguments and stdin
+function run(args, input) {
+  return childProcess.spawnSync(process.execPath, [path.join(__dirname, '../bin/simplepolygon.js')].concat(args), {input: input, encoding: 'utf8'});
+}
+
+test('the rings of a GeoJSON object are written as one FeatureCollection', function(t) {
+  var result = run([], JSON.stringify(bowtie));
+  t.equal(result.status, 0, 'the command succeeds');
+  var output = JSON.parse(result.stdout);
+  t.equal(output.type, 'FeatureCollection', 'the output is a FeatureCollection');
+  t.deepEqual(output.features.map(function(feature){ return feature.geometry.coordinates; }), [[[[0,0],[2,0],[1,1],[0,0]]], [[[1,1],[0,2],[2,2],[1,1]]]], 'with the simple rings');
+  t.end();
+});
+
+test('newline-delimited GeoJSON is read and written feature by feature', function(t) {
+  var result = run(['--ndjson', '--fill-rule', 'nonzero', '--properties'], JSON.stringify(bowtie) + '\n' + JSON.stringify(bowtie) + '\n');
+  t.equal(result.status, 0, 'the command succeeds');
+  var lines = result.stdout.split('\n').filter(function(line){ return line.length > 0; });
+  t.equal(lines.length, 2, 'there is one output feature per input feature');
+  lines.forEach(function(line) {
+    var feature = JSON.parse(line);
+    t.deepEqual([feature.geometry.type, feature.properties.name], ['MultiPolygon', 'bowtie'], 'the feature is assembled and keeps its properties');
+  });
+  t.end();
+});
+
+test('features that can not be decomposed are reported', function(t) {
+  var input = JSON.stringify(bowtie) + '\n' + JSON.stringify(collapsed) + '\n';
+  var result = run(['--ndjson'], input);
+  t.equal(result.status, 1, 'the command fails');
+  t.ok(/line 2/.test(result.stderr), 'the line of the feature is reported');
+  t.equal(result.stdout.split('\n').filter(function(line){ return line.length > 0; }).length, 2, 'the other feature is still decomposed');
+  result = run(['--ndjson', '--skip-invalid'], input);
+  t.equal(result.status, 0, 'they are skipped with --skip-invalid');
+  t.equal(result.stderr, '', 'silently');
+  t.end();
+});
+
+test('wrong options are reported', function(t) {
+  t.notEqual(run(['--bogus'], '').status, 0, 'an unknown option fails');
+  t.notEqual(run(['--fill-rule', 'odd'], '').status, 0, 'an unknown fill rule fails');
+  t.equal(run(['--help'], '').status, 0, 'the help succeeds');
+  t.end();
+});
@@ -0,0 +1,34 @@
+// Tests of degenerate input: repeated vertices, rings touching themselves, vertices on edges and several edges through one point
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+function rings(output) {
+  return output.features.map(function(feature){ return [feature.geometry.coordinates[0], feature.properties.winding]; });
+}
+
+test('a repeated vertex is walked over', function(t) {
+  var output = simplepolygon({type: "Polygon", coordinates: [[[0,0],[2,0],[2,0],[2,2],[0,2],[0,0]]]});
+  t.deepEqual(rings(output), [[[[0,0],[2,0],[2,2],[0,2],[0,0]], 1]], 'the square is returned once');
+  t.end();
+});
+
+test('a ring touching itself at a vertex is split there', function(t) {
+  var output = simplepolygon({type: "Polygon", coordinates: [[[0,0],[2,0],[1,1],[0,2],[1,3],[2,2],[1,1],[0,0]]]});
+  t.deepEqual(rings(output), [[[[0,0],[2,0],[1,1],[0,0]], 1], [[[0,2],[1,3],[2,2],[1,1],[0,2]], -1]], 'the two loops of the cut');
+  output = simplepolygon({type: "Polygon", coordinates: [[[0,0],[2,0],[1,1],[2,2],[0,2],[1,1],[0,0]]]});
+  t.deepEqual(rings(output), [[[[1,1],[2,2],[0,2],[1,1]], 1], [[[0,0],[2,0],[1,1],[0,0]], 1]], 'the two touching triangles');
+  t.end();
+});
+
+test('a vertex on an edge is an intersection', function(t) {
+  var output = simplepolygon({type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[2,0],[0,4],[0,0]]]});
+  t.deepEqual(rings(output), [[[[2,0],[4,0],[4,4],[2,0]], 1], [[[0,0],[2,0],[0,4],[0,0]], 1]], 'the triangles touch at the vertex');
+  t.end();
+});
+
+test('the walks through a point with several edges do not cross', function(t) {
+  var output = simplepolygon({type: "Polygon", coordinates: [[[0,0],[2,2],[4,0],[4,4],[2,2],[0,4],[0,0]]]});
+  t.deepEqual(rings(output), [[[[2,2],[4,0],[4,4],[2,2]], 1], [[[0,0],[2,2],[0,4],[0,0]], 1]], 'the triangles touch at the shared vertex');
+  t.end();
+});
@@ -0,0 +1,49 @@
+// Tests of diagnose, which reports why a polygon is not simple
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+test('a simple polygon is valid', function(t) {
+  var report = simplepolygon.diagnose({type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[0,4],[0,0]]]});
+  t.equal(report.valid, true, 'the report is valid');
+  t.deepEqual(report.features.features, [], 'no issues are highlighted');
+  t.end();
+});
+
+test('crossing edges are reported as intersections', function(t) {
+  var report = simplepolygon.diagnose({type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]});
+  t.equal(report.valid, false, 'the report is not valid');
+  t.deepEqual(report.intersections, [{coord: [1,1], ringAndEdge1: [0,1], ringAndEdge2: [0,3], interRing: false}], 'the crossing is listed');
+  t.deepEqual(report.features.features.map(function(feature){ return [feature.geometry, feature.properties.issue]; }), [[{type: "Point", coordinates: [1,1]}, "intersections"]], 'and highlighted');
+  t.end();
+});
+
+test('duplicate vertices and unclosed rings are reported', function(t) {
+  var report = simplepolygon.diagnose({type: "Polygon", coordinates: [[[0,0],[4,0],[4,0],[4,4],[0,4],[0,1]]]});
+  t.deepEqual(report.duplicateVertices, [{coord: [4,0], ringAndVertices: [[0,1],[0,2]], interRing: false}], 'the duplicate vertex is listed');
+  t.deepEqual(report.unclosedRings, [{ring: 0, coords: [[0,1],[0,0]]}], 'the unclosed ring is listed with its missing edge');
+  t.end();
+});
+
+test('spikes, overlaps and vertices on edges are reported', function(t) {
+  var report = simplepolygon.diagnose({type: "Polygon", coordinates: [[[0,0],[4,0],[2,0],[2,4],[0,0]]]});
+  t.deepEqual(report.spikes, [{coord: [4,0], ringAndVertex: [0,1]}], 'the spike is listed');
+  t.deepEqual(report.overlaps, [{coords: [[2,0],[4,0]], ringAndEdge1: [0,0], ringAndEdge2: [0,1], interRing: false}], 'the overlap is listed');
+  t.deepEqual(report.verticesOnEdges, [{coord: [2,0], ringAndVertex: [0,2], ringAndEdge: [0,0], interRing: false}], 'the vertex on the edge is listed');
+  t.end();
+});
+
+test('rings with less than three distinct vertices are reported as collapsed', function(t) {
+  var report = simplepolygon.diagnose({type: "Polygon", coordinates: [[[0,0],[1,1],[0,0]]]});
+  t.deepEqual(report.collapsedRings, [{ring: 0}], 'the ring is listed');
+  t.end();
+});
+
+test('empty and too short rings are only reported as collapsed', function(t) {
+  var report = simplepolygon.diagnose({type: "Polygon", coordinates: [[], [[0,0],[1,1]]]});
+  t.deepEqual(report.collapsedRings, [{ring: 0}, {ring: 1}], 'both rings are listed');
+  t.deepEqual(report.unclosedRings, [], 'neither ring is listed as unclosed');
+  var features = report.features.features.filter(function(feature){ return feature.properties.issue != "overlaps"; });
+  t.deepEqual(features.map(function(feature){ return feature.geometry; }), [{type: "Point", coordinates: [0,0]}], 'only the ring with coordinates gets a feature');
+  t.end();
+});
@@ -0,0 +1,49 @@
+// Tests of the further coordinates (such as Z and M) after [x,y], which are kept on the output where the input vertices have them
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+test('a vertex without Z only lacks Z in the output itself', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0,0,1],[2,0,1],[0,2,1],[2,2],[0,0,1]]]};
+  var output = simplepolygon(poly);
+  t.deepEqual(output.features.map(function(feature){ return feature.geometry.coordinates; }), [
+    [[[0,0,1],[2,0,1],[1,1,1],[0,0,1]]],
+    [[[1,1,1],[0,2,1],[2,2],[1,1,1]]]
+  ], 'the other vertices and the intersection keep their Z');
+  t.end();
+});
+
+test('the z rule chooses among the edges with the most values', function(t) {
+  // At [1,1], the edge from [2,0,3] to [0,2,1,7] only has Z, and the edge from [2,2,3,9] to [0,0,1,7] has Z and M
+  var poly = {type: "Polygon", coordinates: [[[0,0,1,7],[2,0,3],[0,2,1,7],[2,2,3,9],[0,0,1,7]]]};
+  ['first', 'last', 'average'].forEach(function(zRule) {
+    var output = simplepolygon(poly, {zRule: zRule});
+    t.deepEqual(output.features[0].geometry.coordinates[0][2], [1,1,2,8], 'the ' + zRule + ' rule takes Z and M from the edge with M');
+  });
+  t.end();
+});
+
+test('split lines keep the values their vertices have', function(t) {
+  var line = {type: "LineString", coordinates: [[0,0,5],[2,2],[2,0,1],[0,2,3]]};
+  var output = simplepolygon.splitLines(line);
+  t.deepEqual(output.features.map(function(feature){ return feature.geometry.coordinates; }), [
+    [[0,0,5],[1,1,2]],
+    [[1,1,2],[2,2],[2,0,1],[1,1,2]],
+    [[1,1,2],[0,2,3]]
+  ], 'the split point takes Z from the edge with Z at both ends, in all segments meeting there');
+  t.end();
+});
+
+test('the z rule chooses the values of a split point once for all segments', function(t) {
+  var crossing = {type: "LineString", coordinates: [[0,0,0],[2,2,2],[2,0,6],[0,2,8]]};
+  [['first', [1,1,1]], ['last', [1,1,7]], ['average', [1,1,4]]].forEach(function(ruleAndCoord) {
+    var output = simplepolygon.splitLines(crossing, {zRule: ruleAndCoord[0]});
+    t.deepEqual(output.features.map(function(feature){ return feature.geometry.coordinates; }), [
+      [[0,0,0], ruleAndCoord[1]],
+      [ruleAndCoord[1], [2,2,2], [2,0,6], ruleAndCoord[1]],
+      [ruleAndCoord[1], [0,2,8]]
+    ], 'the edges disagree, and the ' + ruleAndCoord[0] + ' rule decides');
+  });
+  t.throws(function(){ simplepolygon.splitLines(crossing, {zRule: 'median'}); }, /z rule/, 'an unknown rule is an error');
+  t.end();
+});
@@ -0,0 +1,44 @@
+// Tests of the fill rule option, which assembles the output rings into one valid Polygon or MultiPolygon
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var bowtie = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+// A square with a clockwise and a counter-clockwise square inside it
+var squares = {type: "Polygon", coordinates: [[[0,0],[10,0],[10,10],[0,10],[0,0]], [[1,1],[1,4],[4,4],[4,1],[1,1]], [[6,6],[9,6],[9,9],[6,9],[6,6]]]};
+
+test('the fill rules select regions by their net winding number', function(t) {
+  var expected = {
+    evenodd: {type: "Polygon", coordinates: [[[0,0],[10,0],[10,10],[0,10],[0,0]], [[1,1],[1,4],[4,4],[4,1],[1,1]], [[6,6],[6,9],[9,9],[9,6],[6,6]]]},
+    nonzero: {type: "Polygon", coordinates: [[[0,0],[10,0],[10,10],[0,10],[0,0]], [[1,1],[1,4],[4,4],[4,1],[1,1]]]},
+    positive: {type: "Polygon", coordinates: [[[0,0],[10,0],[10,10],[0,10],[0,0]], [[1,1],[1,4],[4,4],[4,1],[1,1]]]},
+    negative: {type: "MultiPolygon", coordinates: []}
+  };
+  for (var fillRule in expected) {
+    t.deepEqual(simplepolygon(squares, {fillRule: fillRule}).geometry, expected[fillRule], 'the ' + fillRule + ' rule');
+  }
+  t.end();
+});
+
+test('separate filled regions give a MultiPolygon with outer rings counter-clockwise', function(t) {
+  t.deepEqual(simplepolygon(bowtie, {fillRule: 'nonzero'}).geometry, {type: "MultiPolygon", coordinates: [[[[0,0],[2,0],[1,1],[0,0]]], [[[1,1],[2,2],[0,2],[1,1]]]]}, 'both parts of the bowtie');
+  t.end();
+});
+
+test('a polygon cut in parts by an inner ring touching its outer ring is split', function(t) {
+  // The clockwise diamond touches the square at [2,0] and [2,4], so its nonzero fill has two parts
+  var poly = {type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[0,4],[0,0]], [[2,0],[1,2],[2,4],[3,2],[2,0]]]};
+  t.deepEqual(simplepolygon(poly, {fillRule: 'nonzero'}).geometry, {type: "MultiPolygon", coordinates: [[[[0,0],[2,0],[1,2],[2,4],[0,4],[0,0]]], [[[2,0],[4,0],[4,4],[2,4],[3,2],[2,0]]]]}, 'the parts are separate polygons');
+  t.end();
+});
+
+test('an inner ring touching its outer ring in one vertex is kept', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[0,4],[0,0]], [[2,0],[1,2],[3,2],[2,0]]]};
+  t.deepEqual(simplepolygon(poly, {fillRule: 'nonzero'}).geometry, {type: "Polygon", coordinates: [[[0,0],[2,0],[4,0],[4,4],[0,4],[0,0]], [[2,0],[1,2],[3,2],[2,0]]]}, 'the polygon has a hole');
+  t.end();
+});
+
+test('an unknown fill rule is an error', function(t) {
+  t.throws(function(){ simplepolygon(bowtie, {fillRule: 'odd'}); }, /fill rule/, 'the rule is rejected');
+  t.end();
+});
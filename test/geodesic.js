@@ -0,0 +1,66 @@
+// Tests of the geodesic mode, where the coordinates are [longitude, latitude] on the sphere and the edges are great-circle arcs
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+test('a vertex on an arc is found to lie on it', function(t) {
+  // [170,0] lies halfway along the arc from [180,-10] to [160,10], but its computed vector is off the great circle by a rounding error
+  var poly = {type: "Polygon", coordinates: [[[180,-10],[160,10],[150,0],[170,0],[160,-20],[180,-10]]]};
+  var report = simplepolygon.diagnose(poly, {geodesic: true});
+  t.deepEqual(report.verticesOnEdges.map(function(vertexOnEdge){ return [vertexOnEdge.ringAndVertex, vertexOnEdge.ringAndEdge]; }), [[[0, 3], [0, 0]]], 'the vertex lies on the first edge');
+  t.end();
+});
+
+test('overlapping arcs crossed by another arc are assembled', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[180,10],[150,0],[160,-10],[170,0],[150,10],[160,-10],[180,10]],[[160,10],[160,0],[180,0],[160,-20],[160,-10],[160,-20],[160,10]]]};
+  var output = simplepolygon(poly, {geodesic: true, strict: true});
+  t.equal(simplepolygon.verify(poly, output, {geodesic: true}).valid, true, 'the output rings are valid');
+  var result = simplepolygon(poly, {geodesic: true, fillRule: 'evenodd'});
+  t.ok(result.geometry.coordinates.length > 0, 'the even-odd fill is assembled');
+  t.end();
+});
+
+test('the interior of a ring covering more than half of the sphere lies on its left', function(t) {
+  // A ring along the parallel at 10 degrees north, walked westwards, has the south pole on its left
+  var ring = [];
+  for (var lon = 180; lon > -180; lon -= 30) ring.push([lon, 10]);
+  ring.push(ring[0]);
+  var poly = {type: "Polygon", coordinates: [ring]};
+  var prepared = simplepolygon.prepare(poly, {geodesic: true});
+  t.equal(prepared.windingAt([0, 90]), 0, 'the winding number at the north pole is 0');
+  t.equal(prepared.windingAt([0, -90]), 1, 'the winding number at the south pole is 1');
+  t.equal(prepared.output.netWindingOutside, 1, 'the output ring encloses the northern side, outside of which the net winding number is 1');
+  t.equal(simplepolygon.verify(poly, prepared.output, {geodesic: true}).valid, true, 'the output rings are valid');
+  t.deepEqual(simplepolygon(poly, {geodesic: true, fillRule: 'positive'}).geometry.coordinates, [ring], 'the positive fill is the input polygon');
+  var reversed = {type: "Polygon", coordinates: [ring.slice().reverse()]};
+  t.equal(simplepolygon.prepare(reversed, {geodesic: true}).windingAt([0, 90]), 1, 'reversed, the winding number at the north pole is 1');
+  t.throws(function(){ simplepolygon(poly, {geodesic: true, fillRule: function(){ return true; }}); }, /whole sphere/, 'filling the whole sphere throws');
+  t.end();
+});
+
+test('boolean operations keep the orientation of the operands', function(t) {
+  // 'south' covers all of the sphere south of the parallel at 80 degrees north
+  var ring = [];
+  for (var lon = 180; lon > -180; lon -= 45) ring.push([lon, 80]);
+  ring.push(ring[0]);
+  var south = {type: "Polygon", coordinates: [ring]};
+  var square = {type: "Polygon", coordinates: [[[0,0],[20,0],[20,20],[0,20],[0,0]]]};
+  t.deepEqual(simplepolygon.intersection([square, south], {geodesic: true}).geometry.coordinates, square.coordinates, 'the square lies within it');
+  t.deepEqual(simplepolygon.difference([square, south], {geodesic: true}).geometry.coordinates, [], 'nothing of the square lies outside of it');
+  t.deepEqual(simplepolygon.difference([south, square], {geodesic: true}).geometry.coordinates, [ring, square.coordinates[0].slice().reverse()], 'the square is a hole in it');
+  t.deepEqual(simplepolygon.union([south, square], {geodesic: true}).geometry.coordinates, [ring], 'the union is itself');
+  t.end();
+});
+
+test('rings around a pole and across the antimeridian are nested', function(t) {
+  // The rings at 60 and 80 degrees north enclose the pole, and the triangle lies across the antimeridian, with a vertex antipodal to [0,0]
+  var outer = [[180,60],[-135,60],[-90,60],[-45,60],[0,60],[45,60],[90,60],[135,60],[180,60]];
+  var inner = [[180,80],[135,80],[90,80],[45,80],[0,80],[-45,80],[-90,80],[-135,80],[180,80]];
+  var triangle = [[170,65],[-170,65],[180,70],[170,65]];
+  var poly = {type: "MultiPolygon", coordinates: [[outer, inner], [triangle]]};
+  var output = simplepolygon(poly, {geodesic: true});
+  t.deepEqual(output.features.map(function(feature){ return [feature.properties.parent, feature.properties.netWinding]; }), [[-1, 1], [0, 0], [0, 2]], 'the inner ring and the triangle lie in the outer ring');
+  var prepared = simplepolygon.prepare(poly, {geodesic: true});
+  t.deepEqual([[0,90], [0,70], [180,68], [0,0]].map(prepared.windingAt), [0, 1, 2, 0], 'the winding numbers at the pole, in the ring, in the triangle and far away');
+  t.end();
+});
@@ -0,0 +1,44 @@
+// Tests of large polygons, for which the walk, the parent search and the net winding numbers use indexed structures
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+// Function to make a star polygon with n vertices on a circle, connecting every k-th one
+function star(n, k) {
+  var coords = [];
+  for (var i = 0; i <= n; i++) {
+    var angle = 2 * Math.PI * ((i * k) % n) / n;
+    coords.push([Math.round(1000 * Math.cos(angle)), Math.round(1000 * Math.sin(angle))]);
+  }
+  return {type: "Polygon", coordinates: [coords]};
+}
+
+test('a star with many crossings gives its outline and its core', function(t) {
+  var output = simplepolygon(star(101, 2));
+  t.deepEqual(output.features.map(function(feature){ return [feature.geometry.coordinates[0].length, feature.properties.parent, feature.properties.netWinding]; }), [[203, -1, 1], [102, 0, 2]], 'the outline has all vertices and crossings');
+  t.end();
+});
+
+test('the rings of a dense star are nested with increasing net winding numbers', function(t) {
+  var output = simplepolygon(star(31, 15));
+  t.equal(output.features.length, 15, 'there are fifteen rings');
+  output.features.forEach(function(feature) {
+    var parent = feature.properties.parent;
+    var parentNetWinding = (parent == -1) ? 0 : output.features[parent].properties.netWinding;
+    t.equal(feature.properties.netWinding, parentNetWinding + 1, 'ring ' + feature.properties.index + ' lies one level deeper than its parent');
+  });
+  t.end();
+});
+
+test('many rings touching at one vertex are walked apart', function(t) {
+  var polygons = [];
+  for (var i = 0; i < 50; i++) {
+    var a = 2 * Math.PI * i / 50;
+    var b = 2 * Math.PI * (i + 0.5) / 50;
+    polygons.push([[[0,0],[10 * Math.cos(a), 10 * Math.sin(a)],[10 * Math.cos(b), 10 * Math.sin(b)],[0,0]]]);
+  }
+  var output = simplepolygon({type: "MultiPolygon", coordinates: polygons});
+  t.equal(output.features.length, 50, 'each triangle is one ring');
+  t.ok(output.features.every(function(feature){ return (feature.properties.parent == -1) && (feature.properties.netWinding == 1) && (feature.geometry.coordinates[0].length == 4); }), 'the triangles lie side by side');
+  t.end();
+});
@@ -0,0 +1,48 @@
+// Tests of the input forms: Polygon and MultiPolygon geometries, Features of either type and FeatureCollections of such Features
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var bowtie = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+var square1 = {type: "Polygon", coordinates: [[[0,0],[2,0],[2,2],[0,2],[0,0]]]};
+var square2 = {type: "Polygon", coordinates: [[[1,1],[3,1],[3,3],[1,3],[1,1]]]};
+
+function rings(output) {
+  return output.features.map(function(feature){ return feature.geometry.coordinates; });
+}
+
+test('a Polygon geometry and a Feature give the same output', function(t) {
+  var expected = [[[[0,0],[2,0],[1,1],[0,0]]], [[[1,1],[0,2],[2,2],[1,1]]]];
+  t.deepEqual(rings(simplepolygon(bowtie)), expected, 'the geometry is broken down');
+  t.deepEqual(rings(simplepolygon({type: "Feature", properties: {}, geometry: bowtie})), expected, 'the feature is broken down');
+  t.end();
+});
+
+test('the polygons of a MultiPolygon are broken down in one walk', function(t) {
+  var multiPolygon = {type: "MultiPolygon", coordinates: [square1.coordinates, square2.coordinates]};
+  var output = simplepolygon(multiPolygon);
+  t.deepEqual(rings(output), [
+    [[[0,0],[2,0],[2,1],[3,1],[3,3],[1,3],[1,2],[0,2],[0,0]]],
+    [[[1,2],[1,1],[2,1],[2,2],[1,2]]]
+  ], 'the crossings between the polygons are resolved');
+  t.deepEqual(output.features.map(function(feature){ return feature.properties.netWinding; }), [1, 2], 'the overlap has net winding 2');
+  t.deepEqual(output.features.map(function(feature){ return feature.properties.origins; }), [[[0,0],[0,1]], [[0,1],[0,0]]], 'the origins list both polygons');
+  t.end();
+});
+
+test('the features of a FeatureCollection are broken down in one walk', function(t) {
+  var collection = {type: "FeatureCollection", features: [
+    {type: "Feature", properties: {}, geometry: square1},
+    {type: "Feature", properties: {}, geometry: {type: "MultiPolygon", coordinates: [[[[10,0],[12,0],[12,2],[10,2],[10,0]]], square2.coordinates]}}
+  ]};
+  var output = simplepolygon(collection);
+  t.equal(output.features.length, 3, 'the squares give three rings');
+  t.deepEqual(output.features.map(function(feature){ return feature.properties.origins; }), [[[0,0],[1,1]], [[1,1],[0,0]], [[1,0]]], 'the origins hold the feature and polygon index');
+  t.end();
+});
+
+test('other input is an error', function(t) {
+  t.throws(function(){ simplepolygon({type: "LineString", coordinates: [[0,0],[1,1]]}); }, /Polygon or MultiPolygon/, 'a LineString is rejected');
+  t.throws(function(){ simplepolygon({type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [0,0]}}]}); }, /Polygon or MultiPolygon/, 'a collection of Points is rejected');
+  t.end();
+});
@@ -0,0 +1,36 @@
+// Tests of prepare, which answers winding number and containment queries at points
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var bowtie = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+var squareWithHole = {type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[0,4],[0,0]], [[1,1],[1,3],[3,3],[3,1],[1,1]]]};
+
+test('the winding number at points of a bowtie', function(t) {
+  var prepared = simplepolygon.prepare(bowtie);
+  t.equal(prepared.windingAt([1,0.5]), 1, 'in the lower half');
+  t.equal(prepared.windingAt([1,1.5]), -1, 'in the upper half');
+  t.equal(prepared.windingAt([5,5]), 0, 'outside');
+  t.equal(prepared.windingAt([1,1]), undefined, 'at the crossing, where it differs on all sides');
+  t.equal(prepared.windingAt({type: "Point", coordinates: [1,0.5]}), 1, 'at a GeoJSON Point');
+  t.equal(prepared.output.features.length, 2, 'the output is kept');
+  t.end();
+});
+
+test('containment by fill rules', function(t) {
+  var prepared = simplepolygon.prepare(bowtie);
+  t.deepEqual([prepared.containsAt([1,0.5]), prepared.containsAt([1,1.5]), prepared.containsAt([5,5])], [true, true, false], 'nonzero by default');
+  t.deepEqual([prepared.containsAt([1,0.5], 'positive'), prepared.containsAt([1,1.5], 'positive')], [true, false], 'positive');
+  t.deepEqual([prepared.containsAt([1,0.5], 'negative'), prepared.containsAt([1,1.5], 'negative')], [false, true], 'negative');
+  t.equal(prepared.containsAt([1,0], 'positive'), true, 'on the edge of a filled region');
+  t.end();
+});
+
+test('points in and on a hole', function(t) {
+  var prepared = simplepolygon.prepare(squareWithHole);
+  t.equal(prepared.windingAt([0.5,0.5]), 1, 'in the square');
+  t.equal(prepared.windingAt([2,2]), 0, 'in the hole');
+  t.equal(prepared.containsAt([2,2]), false, 'which is not contained');
+  t.equal(prepared.containsAt([1,2]), true, 'but its edge is');
+  t.end();
+});
@@ -0,0 +1,49 @@
+// Tests of the provenance of the output rings: the input edges their segments lie on, and the properties and id of their input feature
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var square1 = {type: "Polygon", coordinates: [[[0,0],[2,0],[2,2],[0,2],[0,0]]]};
+var square2 = {type: "Polygon", coordinates: [[[1,1],[3,1],[3,3],[1,3],[1,1]]]};
+
+test('the segments of the output rings refer to the input edges', function(t) {
+  var output = simplepolygon({type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]});
+  t.deepEqual(output.features[0].properties.segments, [
+    {ringAndEdge: [0,0], params: [0,1]},
+    {ringAndEdge: [0,1], params: [0,0.5]},
+    {ringAndEdge: [0,3], params: [0.5,1]}
+  ], 'the first ring');
+  t.deepEqual(output.features[1].properties.segments, [
+    {ringAndEdge: [0,1], params: [0.5,1]},
+    {ringAndEdge: [0,2], params: [0,1]},
+    {ringAndEdge: [0,3], params: [0,0.5]}
+  ], 'the second ring');
+  t.end();
+});
+
+test('the rings of several input polygons are numbered in order', function(t) {
+  var output = simplepolygon({type: "MultiPolygon", coordinates: [square1.coordinates, square2.coordinates]});
+  t.deepEqual(output.features[1].properties.segments, [
+    {ringAndEdge: [1,3], params: [0.5,1]},
+    {ringAndEdge: [1,0], params: [0,0.5]},
+    {ringAndEdge: [0,1], params: [0.5,1]},
+    {ringAndEdge: [0,2], params: [0,0.5]}
+  ], 'the overlap lies on edges of both squares');
+  t.end();
+});
+
+test('the output rings keep the properties and id of their input feature', function(t) {
+  var output = simplepolygon({type: "FeatureCollection", features: [
+    {type: "Feature", id: "a", properties: {name: "A"}, geometry: square1},
+    {type: "Feature", id: "b", properties: {name: "B"}, geometry: {type: "Polygon", coordinates: [[[5,5],[6,5],[6,6],[5,6],[5,5]]]}}
+  ]});
+  t.deepEqual(output.features.map(function(feature){ return [feature.id, feature.properties.name, feature.properties.index]; }), [["a", "A", 0], ["b", "B", 1]], 'each ring keeps those of its feature');
+  t.end();
+});
+
+test('an input feature without properties gives output rings with only their own', function(t) {
+  var output = simplepolygon({type: "Feature", properties: null, geometry: square1});
+  t.deepEqual(Object.keys(output.features[0].properties).sort(), ['index', 'netWinding', 'origins', 'parent', 'segments', 'winding'], 'no other properties are added');
+  t.equal(output.features[0].id, undefined, 'and no id');
+  t.end();
+});
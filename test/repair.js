@@ -0,0 +1,28 @@
+// Tests of the repair option, which makes the output valid by all means and reports what was changed
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+test('repair leaves out input rings with less than three distinct vertices', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[0,4],[0,0]], [[1,1],[2,2],[1,1]]]};
+  t.throws(function(){ simplepolygon(poly); }, /at least three distinct vertices/, 'they are an error without repair');
+  var result = simplepolygon(poly, {repair: true, strict: true});
+  t.deepEqual(result.geometry.coordinates, [[[0,0],[4,0],[4,4],[0,4],[0,0]]], 'the outer ring remains');
+  t.deepEqual(result.repairs.zeroAreaRings, [{coords: [[1,1],[2,2],[1,1]], origin: [0,0]}], 'the collapsed ring is reported');
+  t.end();
+});
+
+test('the remaining rings keep referring to the input rings', function(t) {
+  // The collapsed ring comes first, so the output must take the Z of the second input ring
+  var poly = {type: "Polygon", coordinates: [[[1,1,5],[2,2,5],[1,1,5]], [[0,0,1],[2,0,1],[0,2,1],[2,2,1],[0,0,1]]]};
+  var result = simplepolygon(poly, {repair: true, strict: true});
+  t.deepEqual(result.geometry.coordinates, [[[[0,0,1],[2,0,1],[1,1,1],[0,0,1]]], [[[1,1,1],[2,2,1],[0,2,1],[1,1,1]]]], 'the bowtie is split with its own Z');
+  t.end();
+});
+
+test('repair returns an empty polygon if all input rings collapse', function(t) {
+  var result = simplepolygon({type: "Polygon", coordinates: [[[1,1],[2,2],[1,1]]]}, {repair: true});
+  t.deepEqual(result.geometry, {type: "MultiPolygon", coordinates: []}, 'the geometry is empty');
+  t.equal(result.repairs.zeroAreaRings.length, 1, 'the collapsed ring is reported');
+  t.end();
+});
@@ -0,0 +1,51 @@
+// Tests of splitLines, which splits lines at their crossings and finds the faces they enclose
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var loop = {type: "LineString", coordinates: [[0,0],[2,2],[2,0],[0,2]]};
+var grid = {type: "FeatureCollection", features: [
+  {type: "Feature", id: 7, properties: {name: "across"}, geometry: {type: "LineString", coordinates: [[0,1],[4,1]]}},
+  {type: "Feature", properties: {name: "up"}, geometry: {type: "MultiLineString", coordinates: [[[1,0],[1,4]], [[3,0],[3,4]]]}}
+]};
+
+test('a line is split where it crosses itself', function(t) {
+  var output = simplepolygon.splitLines(loop);
+  t.deepEqual(output.features.map(function(feature){ return feature.geometry.coordinates; }), [[[0,0],[1,1]], [[1,1],[2,2],[2,0],[1,1]], [[1,1],[0,2]]], 'the line is split in three parts');
+  t.deepEqual(output.features.map(function(feature){ return feature.properties.segment; }), [0, 1, 2], 'numbered along the line');
+  t.end();
+});
+
+test('lines are split where they cross each other, and keep their properties', function(t) {
+  var output = simplepolygon.splitLines(grid);
+  t.deepEqual(output.features.map(function(feature){ return [feature.properties.line, feature.properties.origin, feature.properties.segment, feature.properties.name]; }), [
+    [0, [0,0], 0, "across"], [0, [0,0], 1, "across"], [0, [0,0], 2, "across"],
+    [1, [1,0], 0, "up"], [1, [1,0], 1, "up"],
+    [2, [1,1], 0, "up"], [2, [1,1], 1, "up"]
+  ], 'the parts refer to their input lines');
+  t.equal(output.features[0].id, 7, 'the id is kept');
+  t.end();
+});
+
+test('the parts can be returned as one MultiLineString', function(t) {
+  var output = simplepolygon.splitLines(loop, {multiLineString: true});
+  t.deepEqual(output.geometry, {type: "MultiLineString", coordinates: [[[0,0],[1,1]], [[1,1],[2,2],[2,0],[1,1]], [[1,1],[0,2]]]}, 'with all parts');
+  var feature = {type: "Feature", id: "road", properties: {name: "loop"}, geometry: loop};
+  output = simplepolygon.splitLines(feature, {multiLineString: true});
+  t.equal(output.id, "road", 'the input id is kept');
+  t.deepEqual(output.properties, {name: "loop"}, 'the input properties are kept');
+  t.end();
+});
+
+test('the faces enclosed by the lines', function(t) {
+  var output = simplepolygon.splitLines(loop, {faces: true});
+  t.deepEqual(output.faces.features.map(function(feature){ return [feature.geometry.coordinates, feature.properties.lines]; }), [[[[[2,2],[1,1],[2,0],[2,2]]], [0]]], 'the loop encloses one face, without the dangling parts');
+  var closed = simplepolygon.splitLines({type: "LineString", coordinates: [[0,0],[4,0],[4,4],[0,4],[0,0]]}, {faces: true});
+  t.deepEqual(closed.faces.features.map(function(feature){ return feature.geometry.coordinates; }), [[[[0,0],[4,0],[4,4],[0,4],[0,0]]]], 'a closed line encloses a face');
+  t.end();
+});
+
+test('other input is an error', function(t) {
+  t.throws(function(){ simplepolygon.splitLines({type: "Point", coordinates: [0,0]}); }, 'a Point is rejected');
+  t.end();
+});
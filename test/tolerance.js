@@ -0,0 +1,35 @@
+// Tests of the tolerance option, which snaps the coordinates to a grid
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+function rings(output) {
+  return output.features.map(function(feature){ return feature.geometry.coordinates[0]; });
+}
+
+test('a vertex near an edge is taken to lie on it', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[2,0.0000001],[0,4],[0,0]]]};
+  t.equal(simplepolygon(poly).features.length, 1, 'without a tolerance, the ring is simple');
+  t.deepEqual(rings(simplepolygon(poly, {tolerance: 0.001})), [[[2,0],[4,0],[4,4],[2,0]], [[0,0],[2,0],[0,4],[0,0]]], 'with a tolerance, it touches the edge');
+  t.end();
+});
+
+test('the input vertices and intersections are snapped to the grid', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0.0004,0],[2.0001,0.0002],[0,2],[2,2],[0.0004,0]]]};
+  t.deepEqual(rings(simplepolygon(poly, {tolerance: 0.001})), [[[0,0],[2,0],[1,1],[0,0]], [[1,1],[0,2],[2,2],[1,1]]], 'the coordinates lie on the grid');
+  t.end();
+});
+
+test('decimal cell sizes give the shortest decimal coordinates', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[72.4787851,0.3],[73.1,0.3],[73.1,1.7],[72.4787851,1.7],[72.4787851,0.3]]]};
+  t.deepEqual(rings(simplepolygon(poly, {tolerance: 1e-9})), [[[72.4787851,0.3],[73.1,0.3],[73.1,1.7],[72.4787851,1.7],[72.4787851,0.3]]], 'without floating point noise');
+  t.end();
+});
+
+test('the tolerance must be a non-negative number', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+  ['1', -1, Infinity].forEach(function(tolerance) {
+    t.throws(function(){ simplepolygon(poly, {tolerance: tolerance}); }, /non-negative number/, 'the tolerance ' + tolerance + ' is rejected');
+  });
+  t.end();
+});
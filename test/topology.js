@@ -0,0 +1,42 @@
+// Tests of the topology option and toTopoJSON
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var squares = {type: "MultiPolygon", coordinates: [[[[0,0],[2,0],[2,2],[0,2],[0,0]]], [[[1,1],[3,1],[3,3],[1,3],[1,1]]]]};
+var sideBySide = {type: "MultiPolygon", coordinates: [[[[0,0],[2,0],[2,2],[0,2],[0,0]]], [[[2,0],[4,0],[4,2],[2,2],[2,0]]]]};
+
+test('the nodes, edges and faces of two crossing squares', function(t) {
+  var topology = simplepolygon(squares, {topology: true}).topology;
+  t.deepEqual([topology.nodes.length, topology.edges.length, topology.faces.length], [10, 12, 2], 'the numbers of nodes, edges and faces');
+  t.deepEqual(topology.nodes.filter(function(node){ return node.type == 'selfIntersection'; }).map(function(node){ return node.coord; }), [[2,1],[1,2]], 'the crossings are self-intersection nodes');
+  t.ok(topology.edges.every(function(edge, i){ return (topology.nodes[edge.from].edges.indexOf(i) > -1) && (topology.nodes[edge.to].edges.indexOf(i) > -1); }), 'the edges are listed at both of their nodes');
+  t.deepEqual(topology.faces.map(function(face){ return [face.parent, face.children, face.neighbours]; }), [[-1, [1], [1]], [0, [], [0]]], 'the overlap lies in the outline and touches it');
+  t.deepEqual(topology.faces[1].edges.map(function(edge){ return topology.edges[edge].ringAndEdge; }), [[1,3],[1,0],[0,1],[0,2]], 'the edges of the overlap lie on both squares');
+  t.end();
+});
+
+test('squares sharing a side have twin edges', function(t) {
+  // The shared side is walked once in each direction, by a ring with two vertices
+  var topology = simplepolygon(sideBySide, {topology: true}).topology;
+  var twins = topology.edges.filter(function(edge){ return edge.twin > -1; });
+  t.deepEqual(twins.map(function(edge){ return edge.ringAndEdge; }), [[0,1],[1,3]], 'the shared side of both squares');
+  t.ok(twins.every(function(edge){ var twin = topology.edges[edge.twin]; return (twin.from == edge.to) && (twin.to == edge.from); }), 'twins run the other way');
+  t.end();
+});
+
+test('toTopoJSON shares the arcs between touching rings', function(t) {
+  var topojson = simplepolygon.toTopoJSON(simplepolygon(squares, {topology: true}));
+  t.equal(topojson.type, 'Topology', 'the output is a topology');
+  var geometries = topojson.objects.polygons.geometries;
+  t.deepEqual(geometries.map(function(geometry){ return geometry.type; }), ['Polygon', 'Polygon'], 'with a Polygon per ring');
+  var arcs = geometries.map(function(geometry){ return geometry.arcs[0]; });
+  t.deepEqual(arcs, [[0,1],[2,3]], 'whose arcs run from crossing to crossing');
+  t.deepEqual(topojson.arcs[2], [[1,2],[1,1],[2,1]], 'along the input edges');
+  t.end();
+});
+
+test('the topology can not be combined with a fill rule', function(t) {
+  t.throws(function(){ simplepolygon(squares, {topology: true, fillRule: 'nonzero'}); }, /topology/, 'the options are rejected');
+  t.end();
+});
@@ -0,0 +1,54 @@
+// Tests of the trace option, which reports each step of the algorithm as an event, and of traceToGeoJSON
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var bowtie = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+
+function traceEvents(input) {
+  var events = [];
+  simplepolygon(input, {trace: function(event){ events.push(event); }});
+  return events;
+}
+
+test('the walk is traced step by step', function(t) {
+  var events = traceEvents(bowtie).filter(function(event){ return event.type != 'timing'; });
+  t.equal(events[0].type, 'intersections', 'the intersections come first');
+  t.deepEqual(events[0].intersections.map(function(isect){ return isect.coord; }), [[0,0],[2,0],[0,2],[2,2],[1,1]], 'the ring vertices and the crossing are numbered');
+  var walkSteps = events.filter(function(event){ return event.type == 'walkStep'; });
+  t.deepEqual(walkSteps.map(function(event){ return [event.outputRing, event.from, event.to]; }), [[0,0,1],[0,1,4],[0,4,0],[1,4,2],[1,2,3],[1,3,4]], 'each walk step goes from one intersection to the next');
+  var ringsClosed = events.filter(function(event){ return event.type == 'ringClosed'; });
+  t.deepEqual(ringsClosed.map(function(event){ return [event.outputRing, event.coordinates, event.winding]; }), [[0, [[0,0],[2,0],[1,1],[0,0]], 1], [1, [[1,1],[0,2],[2,2],[1,1]], -1]], 'both rings are closed');
+  t.deepEqual(events.filter(function(event){ return event.type == 'queuePop'; }).map(function(event){ return event.isect; }), [0, 4], 'the walks start at the queued intersections');
+  t.end();
+});
+
+test('rings without intersections are traced as closed rings', function(t) {
+  var square = {type: "Polygon", coordinates: [[[0,0],[4,0],[4,4],[0,4],[0,0]], [[1,1],[1,2],[2,2],[2,1],[1,1]]]};
+  var events = traceEvents(square).filter(function(event){ return event.type != 'timing'; });
+  t.deepEqual(events.map(function(event){ return event.type; }), ['intersections', 'ringClosed', 'ringClosed', 'parent', 'parent'], 'as for a walk');
+  t.deepEqual(events[0].intersections.map(function(isect){ return [isect.index, isect.coord, isect.ringAndEdge1, isect.ringAndEdge2, isect.ringVertex]; }), [
+    [0, [0,0], [0,3], [0,0], true], [1, [4,0], [0,0], [0,1], true], [2, [4,4], [0,1], [0,2], true], [3, [0,4], [0,2], [0,3], true],
+    [4, [1,1], [1,3], [1,0], true], [5, [1,2], [1,0], [1,1], true], [6, [2,2], [1,1], [1,2], true], [7, [2,1], [1,2], [1,3], true]
+  ], 'the ring vertices are the intersections');
+  t.deepEqual(events.slice(1, 3).map(function(event){ return [event.outputRing, event.coordinates, event.winding, event.outputFeatures]; }), [[0, square.coordinates[0], 1, [0]], [1, square.coordinates[1], -1, [1]]], 'each input ring is closed');
+  t.deepEqual(events.slice(3).map(function(event){ return [event.outputRing, event.parent]; }), [[0, -1], [1, 0]], 'the parents are found afterwards');
+  t.deepEqual(simplepolygon.traceToGeoJSON(events).features.map(function(feature){ return feature.geometry.type; }).filter(function(type){ return type == 'Polygon'; }).length, 2, 'the rings can be shown');
+  t.end();
+});
+
+test('the time of each step is traced', function(t) {
+  var timings = traceEvents(bowtie).filter(function(event){ return event.type == 'timing'; });
+  t.ok(timings.length > 0, 'there are timing events');
+  t.end();
+});
+
+test('traceToGeoJSON makes features of the intersections, walk steps and rings', function(t) {
+  var collection = simplepolygon.traceToGeoJSON(traceEvents(bowtie));
+  t.equal(collection.type, 'FeatureCollection', 'the output is a FeatureCollection');
+  var counts = {};
+  collection.features.forEach(function(feature){ counts[feature.geometry.type] = (counts[feature.geometry.type] || 0) + 1; });
+  t.deepEqual(counts, {Point: 5, LineString: 6, Polygon: 2}, 'one feature per intersection, walk step and ring');
+  t.deepEqual(collection.features.filter(function(feature){ return feature.geometry.type == 'Polygon'; })[1].geometry.coordinates, [[[1,1],[0,2],[2,2],[1,1]]], 'the rings are polygons');
+  t.end();
+});
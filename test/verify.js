@@ -0,0 +1,186 @@
+// Randomized tests of simplepolygon.verify and the strict option, on generated self-intersecting polygons
+// The polygons are generated with a seeded (Park-Miller) random number generator, as in benchmark.js, such that a failing polygon can be reproduced. Their rings have random vertices in a square, either anywhere (such that edges cross in general position) or on an integer grid (such that vertices lie on edges, rings touch and edges overlap). Failing polygons are listed in the assertion messages.
+
+var test = require('tape');
+var simplepolygon = require('../index.js');
+
+var numPolygons = 150;
+
+test('verify accepts the output for random polygons', function(t) {
+  t.deepEqual(invalidOutputs(randomPolygons(numPolygons, 1, false), {}), [], 'all outputs are valid');
+  t.end();
+});
+
+test('verify accepts the output for random polygons on an integer grid', function(t) {
+  t.deepEqual(invalidOutputs(randomPolygons(numPolygons, 2, true), {}), [], 'all outputs are valid');
+  t.end();
+});
+
+test('verify accepts the output for random polygons snapped with a tolerance', function(t) {
+  t.deepEqual(invalidOutputs(randomPolygons(numPolygons, 3, true, 0.02), {tolerance: 0.05}), [], 'all outputs are valid');
+  t.end();
+});
+
+test('verify accepts the output for random polygons on a grid on the sphere', function(t) {
+  // The grid spans 21 degrees, around the equator and the antimeridian, such that arcs bulge away from the equator and vertices lie on arcs that are not meridians
+  var polygons = randomPolygons(numPolygons, 9, true).map(function(poly){ return transform(poly, 7, [170, -10]); });
+  t.deepEqual(invalidOutputs(polygons, {geodesic: true}), [], 'all outputs are valid');
+  t.end();
+});
+
+test('the strict option does not throw for random polygons', function(t) {
+  var polygons = randomPolygons(numPolygons, 4, false).concat(randomPolygons(numPolygons, 5, true));
+  var failing = [];
+  for (var i = 0; i < polygons.length; i++) {
+    try {
+      simplepolygon(polygons[i], {strict: true});
+      simplepolygon(polygons[i], {strict: true, fillRule: 'evenodd'});
+    } catch (e) {
+      failing.push(JSON.stringify(polygons[i].coordinates) + ": " + e.message);
+    }
+  }
+  t.deepEqual(failing, [], 'no polygon throws');
+  t.end();
+});
+
+test('verify rejects a changed netWinding', function(t) {
+  var numCorrupted = 0;
+  var missed = [];
+  var polygons = randomPolygons(numPolygons, 6, true);
+  for (var i = 0; i < polygons.length; i++) {
+    var output = copy(simplepolygon(polygons[i]));
+    // Changing the net winding number of a ring without children changes the area it adds
+    var ring = leafRingWithArea(output);
+    if (ring == -1) continue
+    output.features[ring].properties.netWinding += 1;
+    numCorrupted++;
+    var report = simplepolygon.verify(polygons[i], output);
+    if (report.valid || (report.areaMismatches.length == 0)) missed.push(JSON.stringify(polygons[i].coordinates));
+  }
+  t.ok(numCorrupted > numPolygons / 2, 'corrupted ' + numCorrupted + ' outputs');
+  t.deepEqual(missed, [], 'all are reported as area mismatches');
+  t.end();
+});
+
+test('verify rejects a changed parent', function(t) {
+  var numCorrupted = 0;
+  var missed = [];
+  var polygons = randomPolygons(numPolygons, 7, true);
+  for (var i = 0; i < polygons.length; i++) {
+    var output = copy(simplepolygon(polygons[i]));
+    // A ring lying in another ring is said to lie in none. Rings of zero area may lie on either side of a ring along which they lie, so they are not changed.
+    var ring = -1;
+    for (var j = 0; j < output.features.length; j++) {
+      if ((output.features[j].properties.parent != -1) && (Math.abs(area(output.features[j].geometry.coordinates[0])) > 1e-6)) ring = j;
+    }
+    if (ring == -1) continue
+    output.features[ring].properties.parent = -1;
+    numCorrupted++;
+    var report = simplepolygon.verify(polygons[i], output);
+    if (report.valid || (report.parents.length == 0)) missed.push(JSON.stringify(polygons[i].coordinates));
+  }
+  t.ok(numCorrupted > numPolygons / 4, 'corrupted ' + numCorrupted + ' outputs');
+  t.deepEqual(missed, [], 'all are reported as wrong parents');
+  t.end();
+});
+
+test('verify rejects changed segments', function(t) {
+  var missed = [];
+  var polygons = randomPolygons(numPolygons, 8, false);
+  for (var i = 0; i < polygons.length; i++) {
+    var output = copy(simplepolygon(polygons[i]));
+    // The first segment is said to lie on the next edge of its input ring, such that its own edge is no longer covered
+    var segment = output.features[0].properties.segments[0];
+    segment.ringAndEdge = [segment.ringAndEdge[0], (segment.ringAndEdge[1] + 1) % (polygons[i].coordinates[segment.ringAndEdge[0]].length - 1)];
+    var report = simplepolygon.verify(polygons[i], output);
+    if (report.valid || (report.edgeCoverage.length == 0) || (report.misplacedSegments.length == 0)) missed.push(JSON.stringify(polygons[i].coordinates));
+  }
+  t.deepEqual(missed, [], 'all are reported as uncovered edges and misplaced segments');
+  t.end();
+});
+
+test('verify rejects a moved vertex', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+  var output = copy(simplepolygon(poly));
+  output.features[0].geometry.coordinates[0][1] = [3,0];
+  var report = simplepolygon.verify(poly, output);
+  t.equal(report.valid, false, 'the output is invalid');
+  t.ok(report.misplacedSegments.length > 0, 'its segments are misplaced');
+  t.ok(report.features.features.length > 0, 'the violations are highlighted');
+  t.end();
+});
+
+test('verify only takes the output without a fill rule', function(t) {
+  var poly = {type: "Polygon", coordinates: [[[0,0],[2,0],[0,2],[2,2],[0,0]]]};
+  t.throws(function(){ simplepolygon.verify(poly, simplepolygon(poly, {fillRule: 'nonzero'})); }, /FeatureCollection of simple polygons/);
+  t.end();
+});
+
+// Function to list the polygons of which the output is not verified to be valid, with the violations found
+function invalidOutputs(polygons, options) {
+  var invalid = [];
+  for (var i = 0; i < polygons.length; i++) {
+    var report = simplepolygon.verify(polygons[i], simplepolygon(polygons[i], options), options);
+    if (report.valid) continue
+    var violations = Object.keys(report).filter(function(kind){ return Array.isArray(report[kind]) && (report[kind].length > 0); });
+    invalid.push(JSON.stringify(polygons[i].coordinates) + ": " + violations.join(", "));
+  }
+  return invalid;
+}
+
+// Function to generate Polygon geometries with one to three rings of three to eight random vertices in a square of size 4, optionally on an integer grid and moved from it by up to jitter, using a seeded (Park-Miller) random number generator. Rings with less than three distinct vertices are generated again.
+function randomPolygons(numPolygons, seed, onGrid, jitter) {
+  var polygons = [];
+  for (var i = 0; i < numPolygons; i++) {
+    var numRings = 1 + Math.floor(random() * 3);
+    var rings = [];
+    while (rings.length < numRings) {
+      var numVertices = 3 + Math.floor(random() * 6);
+      var ring = [];
+      var distinct = {};
+      for (var j = 0; j < numVertices; j++) {
+        var coord = onGrid ? [Math.floor(random() * 4), Math.floor(random() * 4)] : [random() * 4, random() * 4];
+        distinct[coord] = true;
+        if (jitter) coord = [coord[0] + random() * jitter, coord[1] + random() * jitter];
+        ring.push(coord);
+      }
+      ring.push(ring[0]);
+      if (Object.keys(distinct).length >= 3) rings.push(ring);
+    }
+    polygons.push({type: "Polygon", coordinates: rings});
+  }
+  return polygons;
+
+  function random() {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  }
+}
+
+// Function to get the index of an output ring without children and with a non-zero area, or -1 if there is none
+function leafRingWithArea(output) {
+  var hasChildren = {};
+  for (var i = 0; i < output.features.length; i++) hasChildren[output.features[i].properties.parent] = true;
+  for (var i = 0; i < output.features.length; i++) {
+    if (!hasChildren[i] && (Math.abs(area(output.features[i].geometry.coordinates[0])) > 1e-6)) return i;
+  }
+  return -1;
+}
+
+// Function to compute the (planar) signed area of a ring, times two
+function area(ring) {
+  var area = 0;
+  for (var i = 0; i < ring.length-1; i++) area += ring[i][0] * ring[i+1][1] - ring[i+1][0] * ring[i][1];
+  return area;
+}
+
+// Function to scale and translate the coordinates of a Polygon geometry
+function transform(poly, scale, offset) {
+  return {type: "Polygon", coordinates: poly.coordinates.map(function(ring){
+    return ring.map(function(coord){ return [coord[0] * scale + offset[0], coord[1] * scale + offset[1]]; });
+  })};
+}
+
+function copy(object) {
+  return JSON.parse(JSON.stringify(object));
+}